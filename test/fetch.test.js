@@ -0,0 +1,908 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+
+import worker from "../worker.js";
+import {
+    createExecutionContext,
+    createMemoryKV,
+    githubRequest,
+    mockTelegram,
+    signBody,
+} from "./helpers.js";
+
+const baseEnv = {
+    COS_TELEGRAM_BOT_TOKEN: "123:test-token",
+    COS_TELEGRAM_CHAT_ID: "-1001",
+    COS_TELEGRAM_MESSAGE_THREAD_ID: "7",
+};
+
+const starPayload = {
+    action: "created",
+    repository: {
+        full_name: "octo-org/hello-world",
+        html_url: "https://github.com/octo-org/hello-world",
+    },
+    sender: { login: "octocat", html_url: "https://github.com/octocat" },
+};
+
+async function dispatch(request, env) {
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await ctx.settled();
+    return { response, text: await response.text() };
+}
+
+describe("fetch handler", () => {
+    let telegram;
+    beforeEach(() => {
+        for (const level of ["log", "warn", "error"]) {
+            mock.method(console, level, () => {});
+        }
+    });
+    afterEach(() => {
+        telegram?.restore();
+        telegram = undefined;
+        mock.restoreAll();
+    });
+
+    it("rejects non-POST requests", async () => {
+        const { response } = await dispatch(
+            new Request("https://bridge.example.workers.dev/"),
+            baseEnv
+        );
+        assert.equal(response.status, 405);
+    });
+
+    it("requires the X-GitHub-Event header", async () => {
+        const request = new Request("https://bridge.example.workers.dev/", {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body: "{}",
+        });
+        const { response } = await dispatch(request, baseEnv);
+        assert.equal(response.status, 400);
+    });
+
+    it("rejects unsupported content types", async () => {
+        const request = githubRequest("star", starPayload, {
+            headers: { "content-type": "text/plain" },
+        });
+        const { response } = await dispatch(request, baseEnv);
+        assert.equal(response.status, 415);
+    });
+
+    it("rejects invalid JSON", async () => {
+        const request = new Request("https://bridge.example.workers.dev/", {
+            method: "POST",
+            headers: {
+                "content-type": "application/json",
+                "X-GitHub-Event": "star",
+            },
+            body: "{not json",
+        });
+        const { response } = await dispatch(request, baseEnv);
+        assert.equal(response.status, 400);
+    });
+
+    it("accepts media type parameters such as a UTF-8 charset", async () => {
+        telegram = mockTelegram();
+        const request = (contentType) =>
+            githubRequest("star", starPayload, {
+                headers: { "content-type": contentType },
+            });
+
+        const utf8 = await dispatch(
+            request("Application/JSON; charset=UTF-8"),
+            baseEnv
+        );
+        assert.equal(utf8.response.status, 202);
+        const latin1 = await dispatch(
+            request("application/json; charset=iso-8859-1"),
+            baseEnv
+        );
+        assert.equal(latin1.response.status, 415);
+    });
+
+    it("verifies form-encoded payloads over the raw body", async () => {
+        telegram = mockTelegram();
+        const body = new URLSearchParams({
+            payload: JSON.stringify(starPayload),
+        }).toString();
+        const request = (headers) =>
+            new Request("https://bridge.example.workers.dev/", {
+                method: "POST",
+                headers: {
+                    "content-type": "application/x-www-form-urlencoded",
+                    "X-GitHub-Event": "star",
+                    ...headers,
+                },
+                body,
+            });
+        const env = { ...baseEnv, COS_TIMELESS_GITHUB_SECRETS: "s3cret" };
+
+        const signed = await dispatch(
+            request({ "X-Hub-Signature-256": signBody("s3cret", body) }),
+            env
+        );
+        assert.equal(signed.response.status, 202);
+        assert.match(telegram.calls[0].body.text, /octocat/);
+
+        const payloadOnly = await dispatch(
+            request({
+                "X-Hub-Signature-256": signBody(
+                    "s3cret",
+                    JSON.stringify(starPayload)
+                ),
+            }),
+            env
+        );
+        assert.equal(payloadOnly.response.status, 403);
+    });
+
+    it("verifies signatures over bytes that are not valid UTF-8", async () => {
+        telegram = mockTelegram();
+        const json = JSON.stringify({ ...starPayload, note: "" });
+        const body = Buffer.concat([
+            Buffer.from(json.slice(0, -2)),
+            Buffer.from([0xff]),
+            Buffer.from(json.slice(-2)),
+        ]);
+        const { response } = await dispatch(
+            new Request("https://bridge.example.workers.dev/", {
+                method: "POST",
+                headers: {
+                    "content-type": "application/json",
+                    "X-GitHub-Event": "star",
+                    "X-Hub-Signature-256": signBody("s3cret", body),
+                },
+                body,
+            }),
+            { ...baseEnv, COS_TIMELESS_GITHUB_SECRETS: "s3cret" }
+        );
+        assert.equal(response.status, 202);
+        assert.match(telegram.calls[0].body.text, /octocat/);
+    });
+
+    it("rejects form-encoded bodies without a payload field", async () => {
+        const request = new Request("https://bridge.example.workers.dev/", {
+            method: "POST",
+            headers: {
+                "content-type": "application/x-www-form-urlencoded",
+                "X-GitHub-Event": "star",
+            },
+            body: "zen=hello",
+        });
+        const { response } = await dispatch(request, baseEnv);
+        assert.equal(response.status, 400);
+    });
+
+    it("rejects bodies over COS_MAX_BODY_BYTES", async () => {
+        const env = { ...baseEnv, COS_MAX_BODY_BYTES: "64" };
+        const { response } = await dispatch(
+            githubRequest("star", starPayload),
+            env
+        );
+        assert.equal(response.status, 413);
+    });
+
+    it("only accepts hook source IPs in COS_GITHUB_HOOK_CIDRS", async () => {
+        telegram = mockTelegram();
+        const env = {
+            ...baseEnv,
+            COS_GITHUB_HOOK_CIDRS: JSON.stringify([
+                "192.30.252.0/22",
+                "2a0a:a440::/29",
+            ]),
+        };
+        const send = (ip) =>
+            dispatch(
+                githubRequest("star", starPayload, {
+                    headers: ip ? { "CF-Connecting-IP": ip } : {},
+                }),
+                env
+            );
+
+        assert.equal((await send("192.30.255.1")).response.status, 202);
+        assert.equal((await send("2a0a:a447::1")).response.status, 202);
+        assert.equal((await send("::ffff:192.30.252.9")).response.status, 202);
+        assert.equal((await send("192.30.256.1")).response.status, 403);
+        assert.equal((await send("140.82.112.1")).response.status, 403);
+        assert.equal((await send("2a0a:a448::1")).response.status, 403);
+        assert.equal((await send(null)).response.status, 403);
+    });
+
+    it("verifies signatures when a secret is configured", async () => {
+        telegram = mockTelegram();
+        const env = { ...baseEnv, COS_TIMELESS_GITHUB_SECRETS: "s3cret" };
+
+        const unsigned = await dispatch(
+            githubRequest("star", starPayload),
+            env
+        );
+        assert.equal(unsigned.response.status, 403);
+
+        const wrong = await dispatch(
+            githubRequest("star", starPayload, { secret: "other" }),
+            env
+        );
+        assert.equal(wrong.response.status, 403);
+
+        const signed = await dispatch(
+            githubRequest("star", starPayload, { secret: "s3cret" }),
+            env
+        );
+        assert.equal(signed.response.status, 202);
+        assert.equal(telegram.calls.length, 1);
+    });
+
+    it("accepts any active secret during rotation", async () => {
+        telegram = mockTelegram();
+        const env = {
+            ...baseEnv,
+            COS_TIMELESS_GITHUB_SECRETS: JSON.stringify([
+                { name: "new", secret: "new-secret" },
+                {
+                    name: "old",
+                    secret: "old-secret",
+                    expires_at: "2100-01-01T00:00:00Z",
+                },
+                { secret: "retired", expires_at: "2000-01-01T00:00:00Z" },
+            ]),
+        };
+        const send = (secret) =>
+            dispatch(githubRequest("star", starPayload, { secret }), env);
+
+        assert.equal((await send("new-secret")).response.status, 202);
+        assert.equal((await send("old-secret")).response.status, 202);
+        assert.equal((await send("retired")).response.status, 403);
+        assert.ok(
+            console.log.mock.calls.some(
+                (call) =>
+                    call.arguments[0] ===
+                    'GitHub signature verified successfully with secret "old".'
+            )
+        );
+    });
+
+    it("falls back to X-Hub-Signature only when opted in", async () => {
+        telegram = mockTelegram();
+        const body = JSON.stringify(starPayload);
+        const request = () =>
+            new Request("https://bridge.example.workers.dev/", {
+                method: "POST",
+                headers: {
+                    "content-type": "application/json",
+                    "X-GitHub-Event": "star",
+                    "X-Hub-Signature": `sha1=${createHmac("sha1", "s3cret")
+                        .update(body)
+                        .digest("hex")}`,
+                },
+                body,
+            });
+        const env = { ...baseEnv, COS_TIMELESS_GITHUB_SECRETS: "s3cret" };
+
+        assert.equal((await dispatch(request(), env)).response.status, 403);
+        const legacy = await dispatch(request(), {
+            ...env,
+            COS_ALLOW_SHA1_SIGNATURES: "true",
+        });
+        assert.equal(legacy.response.status, 202);
+    });
+
+    it("sends the formatted message to the configured thread", async () => {
+        telegram = mockTelegram();
+        const { response } = await dispatch(
+            githubRequest("star", starPayload),
+            baseEnv
+        );
+        assert.equal(response.status, 202);
+        assert.equal(telegram.calls.length, 1);
+        const [call] = telegram.calls;
+        assert.equal(call.method, "sendMessage");
+        assert.match(call.url, /\/bot123:test-token\/sendMessage$/);
+        assert.deepEqual(call.body, {
+            chat_id: "-1001",
+            message_thread_id: "7",
+            text: "[octocat](https://github.com/octocat) 🌟 starred [octo\\-org/hello\\-world](https://github.com/octo-org/hello-world)",
+            parse_mode: "MarkdownV2",
+            disable_web_page_preview: true,
+        });
+    });
+
+    it("threads follow-up events as replies to the opening message", async () => {
+        telegram = mockTelegram();
+        const env = { ...baseEnv, COS_BRIDGE_KV: createMemoryKV() };
+        const issue = {
+            number: 12,
+            title: "Crash on start",
+            html_url: "https://github.com/octo-org/hello-world/issues/12",
+        };
+        await dispatch(
+            githubRequest("issues", {
+                ...starPayload,
+                action: "opened",
+                issue,
+            }),
+            env
+        );
+        await dispatch(
+            githubRequest("issue_comment", {
+                ...starPayload,
+                action: "created",
+                issue,
+                comment: {
+                    body: "Same here.",
+                    html_url: `${issue.html_url}#issuecomment-1`,
+                },
+            }),
+            env
+        );
+
+        const [opened, comment] = telegram.calls;
+        assert.equal(opened.body.reply_to_message_id, undefined);
+        assert.equal(comment.method, "sendMessage");
+        assert.equal(comment.body.reply_to_message_id, 1000);
+    });
+
+    describe("CI status messages", () => {
+        const workflowRun = (status, conclusion = null, runAttempt = 1) => ({
+            ...starPayload,
+            action: status === "completed" ? "completed" : "in_progress",
+            workflow_run: {
+                id: 30433642,
+                name: "CI",
+                run_number: 7,
+                run_attempt: runAttempt,
+                status,
+                conclusion,
+                head_branch: "main",
+                html_url:
+                    "https://github.com/octo-org/hello-world/actions/runs/30433642",
+            },
+        });
+
+        it("edits one message in place through a run and its re-run", async () => {
+            telegram = mockTelegram();
+            const env = { ...baseEnv, COS_BRIDGE_KV: createMemoryKV() };
+            const updates = [
+                workflowRun("queued"),
+                workflowRun("in_progress"),
+                workflowRun("completed", "failure"),
+                workflowRun("queued", null, 2),
+                workflowRun("in_progress", null, 2),
+                workflowRun("completed", "success", 2),
+            ];
+            for (const update of updates) {
+                await dispatch(githubRequest("workflow_run", update), env);
+            }
+
+            const [sent, ...edits] = telegram.calls;
+            assert.equal(sent.method, "sendMessage");
+            assert.deepEqual(
+                edits.map((call) => call.method),
+                Array(5).fill("editMessageText")
+            );
+            for (const edit of edits) {
+                assert.equal(edit.body.message_id, 1000);
+            }
+            assert.match(edits[2].body.text, /^⏳/);
+            assert.match(edits[4].body.text, /^✅/);
+        });
+
+        it("ignores updates that arrive after the run completed", async () => {
+            telegram = mockTelegram();
+            const env = { ...baseEnv, COS_BRIDGE_KV: createMemoryKV() };
+            await dispatch(
+                githubRequest(
+                    "workflow_run",
+                    workflowRun("completed", "success")
+                ),
+                env
+            );
+            const late = await dispatch(
+                githubRequest("workflow_run", workflowRun("in_progress")),
+                env
+            );
+
+            assert.equal(late.response.status, 202);
+            assert.deepEqual(
+                telegram.calls.map((call) => call.method),
+                ["sendMessage"]
+            );
+            const [stored] = [...env.COS_BRIDGE_KV.store.entries()].filter(
+                ([key]) => key.startsWith("status-message:workflow_run:")
+            );
+            assert.deepEqual(JSON.parse(stored[1].value), {
+                message_id: 1000,
+                completed: true,
+                attempt: 1,
+            });
+        });
+    });
+
+    it("confirms the webhook setup on ping", async () => {
+        telegram = mockTelegram();
+        const env = { ...baseEnv, COS_TIMELESS_GITHUB_SECRETS: "s3cret" };
+        const { response } = await dispatch(
+            githubRequest(
+                "ping",
+                { ...starPayload, hook_id: 30, hook: { events: ["push"] } },
+                { secret: "s3cret" }
+            ),
+            env
+        );
+        assert.equal(response.status, 202);
+        assert.match(
+            telegram.calls[0].body.text,
+            /Signature verification: ✅ active/
+        );
+    });
+
+    it("answers 200 without sending for unsupported events", async () => {
+        telegram = mockTelegram();
+        const { response, text } = await dispatch(
+            githubRequest("unknown_event", { action: "poked" }),
+            baseEnv
+        );
+        assert.equal(response.status, 200);
+        assert.match(text, /not configured for notification/);
+        assert.equal(telegram.calls.length, 0);
+    });
+
+    it("answers 200 with the filter rule that suppressed a delivery", async () => {
+        telegram = mockTelegram();
+        const env = {
+            ...baseEnv,
+            COS_EVENT_FILTERS: JSON.stringify({ deny: ["star"] }),
+        };
+        const { response, text } = await dispatch(
+            githubRequest("star", starPayload),
+            env
+        );
+        assert.equal(response.status, 200);
+        assert.match(text, /deny "star"/);
+        assert.equal(telegram.calls.length, 0);
+    });
+
+    it("ignores duplicate deliveries", async () => {
+        telegram = mockTelegram();
+        const env = { ...baseEnv, COS_BRIDGE_KV: createMemoryKV() };
+        const headers = { "X-GitHub-Delivery": "72d3162e-cc78-11e3" };
+
+        const first = await dispatch(
+            githubRequest("star", starPayload, { headers }),
+            env
+        );
+        const second = await dispatch(
+            githubRequest("star", starPayload, { headers }),
+            env
+        );
+        assert.equal(first.response.status, 202);
+        assert.equal(second.response.status, 200);
+        assert.match(second.text, /already processed/);
+        assert.equal(telegram.calls.length, 1);
+    });
+
+    it("accepts a redelivery after a delivery reached no chat", async () => {
+        telegram = mockTelegram(({ call }) =>
+            call === 1
+                ? { status: 403, json: { ok: false, description: "Forbidden" } }
+                : undefined
+        );
+        const env = { ...baseEnv, COS_BRIDGE_KV: createMemoryKV() };
+        const headers = { "X-GitHub-Delivery": "72d3162e-cc78-11e3" };
+
+        await dispatch(githubRequest("star", starPayload, { headers }), env);
+        const redelivery = await dispatch(
+            githubRequest("star", starPayload, { headers }),
+            env
+        );
+        assert.equal(redelivery.response.status, 202);
+        assert.equal(telegram.calls.length, 2);
+        assert.equal(
+            env.COS_BRIDGE_KV.store.has("delivery:72d3162e-cc78-11e3"),
+            true
+        );
+    });
+
+    it("rejects malformed IDs in the admin API", async () => {
+        const env = {
+            ...baseEnv,
+            COS_ADMIN_TOKEN: "admin-token",
+            COS_BRIDGE_KV: createMemoryKV(),
+        };
+        const adminRequest = (path, method) =>
+            new Request(`https://bridge.example.workers.dev/admin/${path}`, {
+                method,
+                headers: { Authorization: "Bearer admin-token" },
+            });
+
+        const delivery = await dispatch(
+            adminRequest("deliveries/%E0%A4%A", "DELETE"),
+            env
+        );
+        assert.equal(delivery.response.status, 400);
+        const deadLetter = await dispatch(
+            adminRequest("dead-letters/%E0%A4%A", "GET"),
+            env
+        );
+        assert.equal(deadLetter.response.status, 400);
+    });
+
+    it("retries after a 429 and honours retry_after", async () => {
+        telegram = mockTelegram(({ call }) =>
+            call === 1
+                ? {
+                      status: 429,
+                      json: {
+                          ok: false,
+                          description: "Too Many Requests: retry after 0",
+                          parameters: { retry_after: 0 },
+                      },
+                  }
+                : undefined
+        );
+        await dispatch(githubRequest("star", starPayload), baseEnv);
+        assert.equal(telegram.calls.length, 2);
+    });
+
+    it("dead-letters messages Telegram rejects", async () => {
+        telegram = mockTelegram(() => ({
+            status: 403,
+            json: { ok: false, description: "Forbidden: bot was kicked" },
+        }));
+        const kv = createMemoryKV();
+        await dispatch(githubRequest("star", starPayload), {
+            ...baseEnv,
+            COS_BRIDGE_KV: kv,
+        });
+        const deadLetters = [...kv.store.keys()].filter((key) =>
+            key.startsWith("dead-letter:")
+        );
+        assert.equal(deadLetters.length, 1);
+    });
+
+    it("falls back to HTML when Telegram cannot parse MarkdownV2", async () => {
+        telegram = mockTelegram(({ body }) =>
+            body.parse_mode === "MarkdownV2"
+                ? {
+                      status: 400,
+                      json: {
+                          ok: false,
+                          description:
+                              "Bad Request: can't parse entities: Character '(' is reserved",
+                      },
+                  }
+                : undefined
+        );
+        await dispatch(githubRequest("star", starPayload), baseEnv);
+        assert.equal(telegram.calls.length, 2);
+        assert.equal(telegram.calls[1].body.parse_mode, "HTML");
+        assert.match(
+            telegram.calls[1].body.text,
+            /<a href="https:\/\/github.com\/octocat">octocat<\/a>/
+        );
+    });
+
+    it("batches digest events until the scheduled flush", async () => {
+        telegram = mockTelegram();
+        const env = {
+            ...baseEnv,
+            COS_BRIDGE_KV: createMemoryKV(),
+            COS_DIGEST: "{}",
+        };
+        const job = (conclusion) => ({
+            ...starPayload,
+            action: "completed",
+            workflow_job: { status: "completed", conclusion },
+        });
+
+        for (let i = 0; i < 3; i++) {
+            const { response } = await dispatch(
+                githubRequest("star", starPayload),
+                env
+            );
+            assert.equal(response.status, 202);
+        }
+        await dispatch(githubRequest("fork", starPayload), env);
+        await dispatch(githubRequest("workflow_job", job("success")), env);
+        await dispatch(githubRequest("workflow_job", job("failure")), env);
+        assert.equal(telegram.calls.length, 1, "failures are sent at once");
+
+        const ctx = createExecutionContext();
+        await worker.scheduled({ cron: "0 * * * *" }, env, ctx);
+        await ctx.settled();
+        assert.equal(telegram.calls.length, 2);
+        assert.equal(
+            telegram.calls[1].body.text,
+            "📊 Digest for [octo\\-org/hello\\-world](https://github.com/octo-org/hello-world): \\+3 ⭐, 1 fork, 2 CI jobs \\(1 ✅ 1 ❌\\)"
+        );
+        assert.equal(env.COS_BRIDGE_KV.store.size, 0);
+    });
+
+    it("posts scheduled activity reports from recorded events", async () => {
+        telegram = mockTelegram();
+        const env = {
+            ...baseEnv,
+            COS_BRIDGE_KV: createMemoryKV(),
+            COS_REPORTS: [{ cron: "0 9 * * 1", period: "weekly" }],
+        };
+        const pr = (action, merged) => ({
+            ...starPayload,
+            action,
+            pull_request: {
+                number: 1,
+                html_url: "https://github.com/octo-org/hello-world/pull/1",
+                merged,
+            },
+        });
+        const run = (conclusion, minutes) => ({
+            ...starPayload,
+            action: "completed",
+            workflow_run: {
+                status: "completed",
+                conclusion,
+                run_started_at: "2025-01-01T10:00:00Z",
+                updated_at: `2025-01-01T10:0${minutes}:00Z`,
+            },
+        });
+        const push = {
+            ...starPayload,
+            sender: { login: "hubot" },
+            ref: "refs/heads/main",
+            commits: [{ id: "a" }, { id: "b" }],
+        };
+
+        await dispatch(githubRequest("pull_request", pr("opened")), env);
+        await dispatch(githubRequest("pull_request", pr("closed", true)), env);
+        await dispatch(githubRequest("workflow_run", run("success", 2)), env);
+        await dispatch(githubRequest("workflow_run", run("failure", 4)), env);
+        await dispatch(githubRequest("push", push), env);
+        const sent = telegram.calls.length;
+
+        const ctx = createExecutionContext();
+        await worker.scheduled({ cron: "0 9 * * *" }, env, ctx);
+        await ctx.settled();
+        assert.equal(telegram.calls.length, sent, "no report on other crons");
+
+        await worker.scheduled({ cron: "0 9 * * 1" }, env, ctx);
+        await ctx.settled();
+        assert.equal(
+            telegram.calls.at(-1).body.text,
+            [
+                "📈 *Weekly report* for [octo\\-org/hello\\-world](https://github.com/octo-org/hello-world)",
+                "🔀 Pull requests: 1 opened, 1 merged, 0 closed",
+                "⚙️ CI: 50% pass rate \\(1/2 runs\\), mean duration 3m 0s",
+                "🏆 Top contributors: hubot \\(2\\), octocat \\(2\\)",
+            ].join("\n")
+        );
+    });
+
+    describe("tenants", () => {
+        const tenantEnv = () => {
+            const env = {
+                ...baseEnv,
+                COS_TIMELESS_GITHUB_SECRETS: "global-secret",
+                COS_BRIDGE_KV: createMemoryKV(),
+            };
+            env.COS_BRIDGE_KV.store.set("tenant:team-a", {
+                value: JSON.stringify({
+                    secret: "team-a-secret",
+                    bot_token: "456:team-a-token",
+                    chat_id: "-2002",
+                    filters: { deny: ["fork"] },
+                }),
+            });
+            return env;
+        };
+        const tenantRequest = (event, secret) =>
+            githubRequest(event, starPayload, { secret, path: "/hook/team-a" });
+
+        it("verifies and delivers with the tenant's settings", async () => {
+            telegram = mockTelegram();
+            const env = tenantEnv();
+            const { response } = await dispatch(
+                tenantRequest("star", "team-a-secret"),
+                env
+            );
+            assert.equal(response.status, 202);
+            const [call] = telegram.calls;
+            assert.match(call.url, /\/bot456:team-a-token\/sendMessage$/);
+            assert.equal(call.body.chat_id, "-2002");
+            assert.equal(call.body.message_thread_id, undefined);
+
+            const forbidden = await dispatch(
+                tenantRequest("star", "global-secret"),
+                env
+            );
+            assert.equal(forbidden.response.status, 403);
+
+            const filtered = await dispatch(
+                tenantRequest("fork", "team-a-secret"),
+                env
+            );
+            assert.match(filtered.text, /deny "fork"/);
+        });
+
+        it("never falls back to the worker's routing and filters", async () => {
+            telegram = mockTelegram();
+            const env = {
+                ...tenantEnv(),
+                COS_ROUTING_RULES: [{ targets: [{ chat_id: "-999" }] }],
+                COS_EVENT_FILTERS: { deny: ["star"] },
+            };
+            const { response } = await dispatch(
+                tenantRequest("star", "team-a-secret"),
+                env
+            );
+            assert.equal(response.status, 202);
+            assert.deepEqual(
+                telegram.calls.map((call) => call.body.chat_id),
+                ["-2002"]
+            );
+        });
+
+        it("reports a tenant's activity only with its own reports", async () => {
+            telegram = mockTelegram();
+            const env = {
+                ...tenantEnv(),
+                COS_REPORTS: [{ cron: "0 9 * * *", period: "daily" }],
+            };
+            const tenant = JSON.parse(
+                env.COS_BRIDGE_KV.store.get("tenant:team-a").value
+            );
+            env.COS_BRIDGE_KV.store.set("tenant:team-a", {
+                value: JSON.stringify({
+                    ...tenant,
+                    reports: [{ cron: "0 9 * * *", period: "weekly" }],
+                }),
+            });
+            await dispatch(
+                githubRequest(
+                    "pull_request",
+                    {
+                        ...starPayload,
+                        action: "opened",
+                        pull_request: {
+                            number: 1,
+                            html_url:
+                                "https://github.com/octo-org/hello-world/pull/1",
+                        },
+                    },
+                    { secret: "team-a-secret", path: "/hook/team-a" }
+                ),
+                env
+            );
+            const sent = telegram.calls.length;
+
+            const ctx = createExecutionContext();
+            await worker.scheduled({ cron: "0 9 * * *" }, env, ctx);
+            await ctx.settled();
+            const reports = telegram.calls.slice(sent);
+            assert.equal(reports.length, 1);
+            assert.match(reports[0].url, /\/bot456:team-a-token\//);
+            assert.equal(reports[0].body.chat_id, "-2002");
+            assert.match(reports[0].body.text, /Weekly report/);
+        });
+
+        it("never uses the worker's GitHub token or permissions", async () => {
+            telegram = mockTelegram();
+            const env = {
+                ...tenantEnv(),
+                COS_TELEGRAM_WEBHOOK_SECRET: "telegram-secret",
+                COS_GITHUB_TOKEN: "ghp_worker",
+                COS_ACTION_PERMISSIONS: { 42: ["*"] },
+            };
+            const tenant = JSON.parse(
+                env.COS_BRIDGE_KV.store.get("tenant:team-a").value
+            );
+            delete tenant.bot_token;
+            env.COS_BRIDGE_KV.store.set("tenant:team-a", {
+                value: JSON.stringify(tenant),
+            });
+            await dispatch(
+                githubRequest(
+                    "pull_request",
+                    {
+                        ...starPayload,
+                        action: "opened",
+                        pull_request: {
+                            number: 1,
+                            state: "open",
+                            html_url:
+                                "https://github.com/octo-org/hello-world/pull/1",
+                        },
+                    },
+                    { secret: "team-a-secret", path: "/hook/team-a" }
+                ),
+                env
+            );
+            const [call] = telegram.calls;
+            assert.equal(call.body.chat_id, "-2002");
+            const buttons = call.body.reply_markup.inline_keyboard.flat();
+            assert.ok(buttons.every((button) => !button.callback_data));
+        });
+
+        it("rejects unknown tenants", async () => {
+            telegram = mockTelegram();
+            const { response } = await dispatch(
+                githubRequest("star", starPayload, { path: "/hook/team-b" }),
+                tenantEnv()
+            );
+            assert.equal(response.status, 404);
+            assert.equal(telegram.calls.length, 0);
+        });
+    });
+
+    describe("security alerts", () => {
+        const alert = (severity) => ({
+            ...starPayload,
+            action: "created",
+            alert: {
+                number: 2,
+                security_advisory: { severity },
+                security_vulnerability: { package: { name: "lodash" } },
+            },
+        });
+        const env = {
+            ...baseEnv,
+            COS_ROUTING_RULES: JSON.stringify([
+                {
+                    event: "dependabot_alert",
+                    targets: [
+                        { chat_id: "-100", min_severity: "high" },
+                        { chat_id: "-200", mention: "@oncall_sec" },
+                    ],
+                },
+            ]),
+            COS_SECURITY_ALERTS: JSON.stringify({
+                min_severity: "medium",
+                pin: true,
+            }),
+        };
+
+        it("skips targets below their severity threshold", async () => {
+            telegram = mockTelegram();
+            await dispatch(
+                githubRequest("dependabot_alert", alert("low")),
+                env
+            );
+            assert.equal(telegram.calls.length, 0);
+
+            await dispatch(
+                githubRequest("dependabot_alert", alert("moderate")),
+                env
+            );
+            assert.deepEqual(
+                telegram.calls.map((call) => call.body.chat_id),
+                ["-200"]
+            );
+        });
+
+        it("pins critical alerts and mentions the on-call handle", async () => {
+            telegram = mockTelegram();
+            await dispatch(
+                githubRequest("dependabot_alert", alert("critical")),
+                env
+            );
+            const sent = telegram.calls.filter(
+                (call) => call.method === "sendMessage"
+            );
+            assert.equal(sent.length, 2);
+            for (const call of sent) {
+                assert.match(
+                    call.body.text,
+                    /^🚨 \*CRITICAL SECURITY ALERT\*\n/
+                );
+            }
+            assert.match(sent[1].body.text, /\n\n@oncall\\_sec$/);
+            assert.equal(
+                telegram.calls.filter(
+                    (call) => call.method === "pinChatMessage"
+                ).length,
+                2
+            );
+        });
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+
+import { formatMessage, validateMarkdownV2 } from "../worker.js";
+import { loadEventFixtures } from "./helpers.js";
+
+// Golden MarkdownV2 outputs live in test/golden/<event>.json, keyed by case.
+// Run `npm run test:update-golden` to regenerate them after an intended
+// formatting change, and review the diff.
+const updateGolden = process.env.UPDATE_GOLDEN === "1";
+const goldenDir = new URL("./golden/", import.meta.url);
+
+function readGolden(event) {
+    const file = new URL(`${event}.json`, goldenDir);
+    return existsSync(file) ? JSON.parse(readFileSync(file, "utf8")) : {};
+}
+
+const fixtures = loadEventFixtures();
+const events = [...new Set(fixtures.map((fixture) => fixture.event))];
+
+for (const event of events) {
+    describe(`formatMessage: ${event}`, () => {
+        const golden = readGolden(event);
+        const actual = {};
+
+        for (const { caseName, payload } of fixtures.filter(
+            (fixture) => fixture.event === event
+        )) {
+            it(caseName, () => {
+                const message = formatMessage(event, payload, {});
+                actual[caseName] = message;
+                if (updateGolden) return;
+                assert.ok(
+                    caseName in golden,
+                    `No golden output for ${event}/${caseName}; run npm run test:update-golden`
+                );
+                assert.equal(message, golden[caseName]);
+            });
+        }
+
+        after(() => {
+            if (!updateGolden) return;
+            writeFileSync(
+                new URL(`${event}.json`, goldenDir),
+                JSON.stringify(actual, null, 2) + "\n"
+            );
+        });
+    });
+}
+
+describe("formatMessage output is valid MarkdownV2", () => {
+    for (const { event, caseName, payload } of fixtures) {
+        it(`${event}/${caseName}`, () => {
+            const message = formatMessage(event, payload, {});
+            assert.deepEqual(validateMarkdownV2(message).issues, []);
+        });
+    }
+});
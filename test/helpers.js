@@ -0,0 +1,158 @@
+import { readdirSync, readFileSync } from "node:fs";
+import { createHmac } from "node:crypto";
+
+const fixturesDir = new URL("./fixtures/", import.meta.url);
+
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Deep-merges plain objects; arrays and other values from `override` replace
+ * those in `base`.
+ */
+export function merge(base, override) {
+    if (!isObject(base) || !isObject(override)) return override;
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        result[key] = merge(base[key], value);
+    }
+    return result;
+}
+
+/**
+ * Loads every event fixture as `{ event, caseName, payload }`. Each fixture
+ * file holds a `base` payload and named `cases` merged on top of it, both on
+ * top of the shared repository/sender in fixtures/common.json.
+ */
+export function loadEventFixtures() {
+    const common = JSON.parse(
+        readFileSync(new URL("common.json", fixturesDir), "utf8")
+    );
+    const eventsDir = new URL("events/", fixturesDir);
+    return readdirSync(eventsDir)
+        .filter((file) => file.endsWith(".json"))
+        .sort()
+        .flatMap((file) => {
+            const event = file.replace(/\.json$/, "");
+            const { base, cases } = JSON.parse(
+                readFileSync(new URL(file, eventsDir), "utf8")
+            );
+            return Object.entries(cases).map(([caseName, override]) => ({
+                event,
+                caseName,
+                payload: merge(merge(common, base), override),
+            }));
+        });
+}
+
+/**
+ * An in-memory stand-in for a Workers KV namespace.
+ */
+export function createMemoryKV() {
+    const store = new Map();
+    return {
+        store,
+        async get(key, type) {
+            if (!store.has(key)) return null;
+            const { value } = store.get(key);
+            return type === "json" ? JSON.parse(value) : value;
+        },
+        async getWithMetadata(key, type) {
+            if (!store.has(key)) return { value: null, metadata: null };
+            const { value, metadata } = store.get(key);
+            return {
+                value: type === "json" ? JSON.parse(value) : value,
+                metadata: metadata ?? null,
+            };
+        },
+        async put(key, value, options = {}) {
+            store.set(key, {
+                value: String(value),
+                metadata: options.metadata,
+            });
+        },
+        async delete(key) {
+            store.delete(key);
+        },
+        async list({ prefix = "" } = {}) {
+            const keys = [...store.keys()]
+                .filter((name) => name.startsWith(prefix))
+                .sort()
+                .map((name) => ({ name, metadata: store.get(name).metadata }));
+            return { keys, list_complete: true };
+        },
+    };
+}
+
+/**
+ * Replaces global fetch with a mocked Telegram Bot API. `responder` returns
+ * the JSON body (and optional status) for each call; by default every call
+ * succeeds. Returns the recorded calls and a restore function.
+ */
+export function mockTelegram(responder = () => ({})) {
+    const calls = [];
+    const originalFetch = globalThis.fetch;
+    let nextMessageId = 1000;
+    globalThis.fetch = async (url, init) => {
+        const method = String(url).split("/").pop();
+        const body =
+            init.body === undefined ? undefined : JSON.parse(init.body);
+        calls.push({ url: String(url), method, body });
+        const { status = 200, json } =
+            responder({ url: String(url), method, body, call: calls.length }) ||
+            {};
+        const data = json ?? {
+            ok: true,
+            result: { message_id: nextMessageId++ },
+        };
+        return new Response(JSON.stringify(data), { status });
+    };
+    return {
+        calls,
+        restore() {
+            globalThis.fetch = originalFetch;
+        },
+    };
+}
+
+/**
+ * Returns an execution context whose waitUntil promises can be awaited.
+ */
+export function createExecutionContext() {
+    const promises = [];
+    return {
+        waitUntil(promise) {
+            promises.push(promise);
+        },
+        async settled() {
+            await Promise.all(promises);
+        },
+    };
+}
+
+export function signBody(secret, body) {
+    return `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+/**
+ * Builds a GitHub webhook request for the worker's fetch handler.
+ */
+export function githubRequest(
+    event,
+    payload,
+    { secret, headers = {}, path = "/" } = {}
+) {
+    const body = JSON.stringify(payload);
+    const requestHeaders = {
+        "content-type": "application/json",
+        "X-GitHub-Event": event,
+        ...headers,
+    };
+    if (secret) requestHeaders["X-Hub-Signature-256"] = signBody(secret, body);
+    return new Request(`https://bridge.example.workers.dev${path}`, {
+        method: "POST",
+        headers: requestHeaders,
+        body,
+    });
+}
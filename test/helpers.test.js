@@ -0,0 +1,479 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+
+import {
+    escapeMarkdownV2,
+    escapeMarkdownV2Url,
+    escapePreview,
+    findSuppressingFilter,
+    formatDuration,
+    formatMessage,
+    markdownV2ToHtml,
+    markdownV2ToPlainText,
+    matchesGlob,
+    registerFormatter,
+    resolveTargets,
+    splitMessage,
+    truncateMessage,
+    validateMarkdownV2,
+    verifyGitHubSignature,
+} from "../worker.js";
+import { signBody } from "./helpers.js";
+
+describe("escapeMarkdownV2", () => {
+    it("escapes every MarkdownV2 reserved character", () => {
+        assert.equal(
+            escapeMarkdownV2("\\_*[]()~`>#+-=|{}.!"),
+            "\\\\\\_\\*\\[\\]\\(\\)\\~\\`\\>\\#\\+\\-\\=\\|\\{\\}\\.\\!"
+        );
+    });
+
+    it("returns an empty string for missing text", () => {
+        assert.equal(escapeMarkdownV2(undefined), "");
+        assert.equal(escapeMarkdownV2(""), "");
+    });
+});
+
+describe("escapeMarkdownV2Url", () => {
+    it("escapes only closing parentheses and backslashes", () => {
+        assert.equal(
+            escapeMarkdownV2Url("https://e.com/a_(b)\\c"),
+            "https://e.com/a_(b\\)\\\\c"
+        );
+    });
+});
+
+describe("validateMarkdownV2", () => {
+    it("accepts well-formed entities", () => {
+        const text = "*bold* _it_ `co(de)` [l](https://x.y) \\(ok\\)";
+        assert.deepEqual(validateMarkdownV2(text), { text, issues: [] });
+    });
+
+    it("escapes stray reserved characters", () => {
+        assert.equal(validateMarkdownV2("a (b) c").text, "a \\(b\\) c");
+        assert.equal(validateMarkdownV2("1.5!").text, "1\\.5\\!");
+    });
+
+    it("escapes the markers of unclosed entities", () => {
+        const { text, issues } = validateMarkdownV2("a *b");
+        assert.equal(text, "a \\*b");
+        assert.equal(issues.length, 1);
+    });
+
+    it("ends link URLs at the first unescaped parenthesis", () => {
+        assert.equal(
+            validateMarkdownV2("[x](https://e.com/a_(b))").text,
+            "[x](https://e.com/a_(b)\\)"
+        );
+        assert.equal(validateMarkdownV2("end \\").text, "end \\\\");
+    });
+
+    it("leaves escaped link URLs with parentheses unchanged", () => {
+        const link = `[x](${escapeMarkdownV2Url(
+            "https://github.com/o/r/wiki/FAQ-(old)"
+        )})`;
+        const { text, issues } = validateMarkdownV2(link);
+        assert.equal(text, link);
+        assert.deepEqual(issues, []);
+    });
+
+    it("escapes raw backslashes that would swallow the next character", () => {
+        const { text, issues } = validateMarkdownV2("C:\\new \\\\ \\.");
+        assert.equal(text, "C:\\\\new \\\\ \\.");
+        assert.equal(issues.length, 1);
+    });
+
+    it("round-trips literal backslashes in comment bodies", () => {
+        const message = formatMessage("issue_comment", {
+            action: "created",
+            sender: { login: "octocat" },
+            issue: { number: 1, html_url: "https://e.com/issues/1" },
+            comment: {
+                body: "Saved to C:\\new\\temp\\",
+                html_url: "https://e.com/issues/1#c",
+            },
+        });
+        assert.deepEqual(validateMarkdownV2(message).issues, []);
+        assert.ok(
+            markdownV2ToPlainText(message).endsWith(
+                "> Saved to C:\\new\\temp\\"
+            )
+        );
+    });
+});
+
+describe("escapePreview", () => {
+    it("truncates before escaping so no escape is cut in half", () => {
+        assert.equal(escapePreview("a.b.c.d", 4), "a\\.b\\.\\.\\.\\.");
+    });
+
+    it("escapes a backslash left at the cut", () => {
+        const preview = escapePreview("C:\\temp", 3);
+        assert.equal(preview, "C:\\\\\\.\\.\\.");
+        assert.deepEqual(validateMarkdownV2(preview).issues, []);
+    });
+
+    it("leaves short text untouched apart from escaping", () => {
+        assert.equal(escapePreview("v1.0", 10), "v1\\.0");
+    });
+});
+
+describe("formatDuration", () => {
+    it("formats hours, minutes and seconds", () => {
+        assert.equal(
+            formatDuration("2025-01-01T10:00:00Z", "2025-01-01T11:02:05Z"),
+            "\\(took 1h 2m 5s\\)"
+        );
+    });
+
+    it("omits zero hours and minutes", () => {
+        assert.equal(
+            formatDuration("2025-01-01T10:00:00Z", "2025-01-01T10:00:42Z"),
+            "\\(took 42s\\)"
+        );
+    });
+
+    it("returns an empty string for missing or negative ranges", () => {
+        assert.equal(formatDuration(null, "2025-01-01T10:00:00Z"), "");
+        assert.equal(
+            formatDuration("2025-01-01T10:00:00Z", "2025-01-01T09:00:00Z"),
+            ""
+        );
+    });
+});
+
+describe("verifyGitHubSignature", () => {
+    const body = JSON.stringify({ zen: "Keep it logically awesome." });
+
+    it("accepts a valid sha256 signature", async () => {
+        assert.equal(
+            await verifyGitHubSignature(
+                "s3cret",
+                body,
+                signBody("s3cret", body)
+            ),
+            true
+        );
+    });
+
+    it("rejects a signature made with another secret", async () => {
+        assert.equal(
+            await verifyGitHubSignature(
+                "s3cret",
+                body,
+                signBody("other", body)
+            ),
+            false
+        );
+    });
+
+    it("rejects missing or non-sha256 headers", async () => {
+        assert.equal(await verifyGitHubSignature("s3cret", body, null), false);
+        assert.equal(
+            await verifyGitHubSignature("s3cret", body, "sha1=abc"),
+            false
+        );
+    });
+
+    it("accepts legacy sha1 signatures only when allowed", async () => {
+        const sha1 = `sha1=${createHmac("sha1", "s3cret")
+            .update(body)
+            .digest("hex")}`;
+        assert.equal(await verifyGitHubSignature("s3cret", body, sha1), false);
+        assert.equal(
+            await verifyGitHubSignature("s3cret", body, sha1, {
+                allowSha1: true,
+            }),
+            true
+        );
+    });
+});
+
+describe("matchesGlob", () => {
+    it("matches single path segments with *", () => {
+        assert.equal(matchesGlob("release/1.2", "release/*"), true);
+        assert.equal(matchesGlob("release/1.2/hotfix", "release/*"), false);
+    });
+
+    it("matches nested paths with **", () => {
+        assert.equal(matchesGlob("src/a/b.js", "src/**"), true);
+        assert.equal(matchesGlob("b.js", "**/*.js"), true);
+    });
+
+    it("treats brackets in bot logins literally", () => {
+        assert.equal(matchesGlob("dependabot[bot]", "dependabot[bot]"), true);
+    });
+});
+
+describe("findSuppressingFilter", () => {
+    const env = {
+        COS_EVENT_FILTERS: {
+            deny: ["workflow_job:queued,in_progress"],
+            ignore_senders: ["*[bot]"],
+            branches: ["main"],
+            paths: ["src/**"],
+        },
+    };
+
+    it("reports the matching deny rule", async () => {
+        assert.equal(
+            await findSuppressingFilter(
+                "workflow_job",
+                { action: "queued" },
+                env
+            ),
+            'deny "workflow_job:queued,in_progress"'
+        );
+    });
+
+    it("reports ignored senders", async () => {
+        assert.equal(
+            await findSuppressingFilter(
+                "push",
+                { sender: { login: "github-actions[bot]" } },
+                env
+            ),
+            'ignore_senders "*[bot]"'
+        );
+    });
+
+    it("accepts single strings and ignores malformed lists", async () => {
+        mock.method(console, "warn", () => {});
+        const looseEnv = {
+            COS_EVENT_FILTERS: {
+                deny: "fork",
+                ignore_senders: "*[bot]",
+                allow: { star: true },
+            },
+        };
+        assert.equal(
+            await findSuppressingFilter("fork", {}, looseEnv),
+            'deny "fork"'
+        );
+        assert.equal(
+            await findSuppressingFilter(
+                "star",
+                { sender: { login: "renovate[bot]" } },
+                looseEnv
+            ),
+            'ignore_senders "*[bot]"'
+        );
+        assert.equal(await findSuppressingFilter("star", {}, looseEnv), null);
+        assert.equal(console.warn.mock.callCount(), 1);
+        mock.restoreAll();
+    });
+
+    it("applies branch and path filters to pushes", async () => {
+        assert.equal(
+            await findSuppressingFilter(
+                "push",
+                { ref: "refs/heads/feature" },
+                env
+            ),
+            'branches "main"'
+        );
+        assert.equal(
+            await findSuppressingFilter(
+                "push",
+                { ref: "refs/heads/main", commits: [{ added: ["README.md"] }] },
+                env
+            ),
+            'paths "src/**"'
+        );
+        assert.equal(
+            await findSuppressingFilter(
+                "push",
+                { ref: "refs/heads/main", commits: [{ added: ["src/x.js"] }] },
+                env
+            ),
+            null
+        );
+    });
+});
+
+describe("resolveTargets", () => {
+    const env = {
+        COS_TELEGRAM_CHAT_ID: "-100",
+        COS_TELEGRAM_MESSAGE_THREAD_ID: "1",
+        COS_ROUTING_RULES: JSON.stringify([
+            {
+                event: "workflow_run",
+                branch: "main",
+                targets: [{ chat_id: "-200", thread_id: "7" }],
+                continue: true,
+            },
+            { label: "security", targets: [{ chat_id: "-300" }] },
+        ]),
+    };
+
+    it("falls back to the default target", async () => {
+        assert.deepEqual(await resolveTargets("star", {}, env), [
+            { chat_id: "-100", thread_id: "1" },
+        ]);
+    });
+
+    it("matches on event, branch and label", async () => {
+        assert.deepEqual(
+            await resolveTargets(
+                "workflow_run",
+                { workflow_run: { head_branch: "main" } },
+                env
+            ),
+            [{ chat_id: "-200", thread_id: "7" }]
+        );
+        assert.deepEqual(
+            await resolveTargets(
+                "issues",
+                { issue: { labels: [{ name: "security" }] } },
+                env
+            ),
+            [{ chat_id: "-300" }]
+        );
+    });
+});
+
+describe("message length", () => {
+    it("splits long messages into numbered parts within the limit", () => {
+        const line = "• [`abc1234`](https://example.com/c) Fix \\(bug\\)\n";
+        const parts = splitMessage(line.repeat(200), 1000);
+        assert.ok(parts.length > 1);
+        parts.forEach((part, index) => {
+            assert.ok(part.length <= 1000);
+            assert.ok(part.endsWith(`\\(${index + 1}/${parts.length}\\)`));
+        });
+    });
+
+    it("closes and reopens over-long code entities at the cut", () => {
+        const pre =
+            "```js\n" + "const path = \\`C:\\\\tmp\\`;\n".repeat(200) + "```";
+        const code = "`" + "x\\`".repeat(700) + "`";
+        for (const message of [`Logs:\n${pre}`, code]) {
+            const parts = splitMessage(message, 1000);
+            assert.ok(parts.length > 1);
+            for (const part of parts) {
+                assert.ok(part.length <= 1000);
+                assert.deepEqual(validateMarkdownV2(part).issues, []);
+            }
+        }
+        const [, second] = splitMessage(pre, 1000);
+        assert.ok(second.startsWith("```js\n"));
+    });
+
+    it("never cuts after an escaping backslash", () => {
+        const truncated = truncateMessage("a\\.".repeat(100), 50);
+        assert.ok(truncated.length <= 50);
+        assert.ok(!/(^|[^\\])\\$/.test(truncated.replace(/\\\.\\\.\\\.$/, "")));
+    });
+});
+
+describe("MarkdownV2 fallbacks", () => {
+    const message =
+        "[octocat](https://github.com/octocat) merged *PR* `a<b` \\(done\\)";
+
+    it("renders HTML", () => {
+        assert.equal(
+            markdownV2ToHtml(message),
+            '<a href="https://github.com/octocat">octocat</a> merged <b>PR</b> <code>a&lt;b</code> (done)'
+        );
+    });
+
+    it("renders plain text", () => {
+        assert.equal(
+            markdownV2ToPlainText(message),
+            "octocat (https://github.com/octocat) merged PR a<b (done)"
+        );
+    });
+
+    it("keeps unclosed markers as text", () => {
+        assert.equal(markdownV2ToHtml("a *b"), "a *b");
+    });
+});
+
+describe("message templates", () => {
+    const payload = {
+        action: "opened",
+        sender: { login: "octo_cat" },
+        repository: { full_name: "octo-org/hello-world" },
+        pull_request: { number: 42, title: "Fix (all) the bugs!" },
+    };
+
+    it("fills in and escapes placeholders", () => {
+        const templates = {
+            "pull_request:opened":
+                "{sender} opened #{pr.number}: {pr.title} in {repo}",
+        };
+        assert.equal(
+            formatMessage("pull_request", payload, {}, { templates }),
+            "octo\\_cat opened \\#42: Fix \\(all\\) the bugs\\! in octo\\-org/hello\\-world"
+        );
+    });
+
+    it("falls back from event:action to event and renders unknown paths empty", () => {
+        const templates = {
+            pull_request: "{event} {action} {pr.nope.deeper}.",
+        };
+        assert.equal(
+            formatMessage("pull_request", payload, {}, { templates }),
+            "pull\\_request opened \\."
+        );
+    });
+});
+
+describe("registerFormatter", () => {
+    it("adds formatters for new event types", () => {
+        registerFormatter(
+            "test_event",
+            ({ userLink, action }) => `${userLink} did ${action}`
+        );
+        assert.equal(
+            formatMessage("test_event", {
+                action: "things",
+                sender: { login: "octocat" },
+            }),
+            "octocat did things"
+        );
+    });
+});
+
+describe("Telegram mentions", () => {
+    const users = {
+        Hubot: 123456,
+        monalisa: "@mona_tg",
+        octocat: { id: 42, name: "Octo Cat" },
+    };
+
+    it("pings mapped review requests and assignees", () => {
+        const message = formatMessage(
+            "pull_request",
+            {
+                action: "review_requested",
+                sender: { login: "octocat" },
+                pull_request: { number: 7, html_url: "https://e.com/pull/7" },
+                requested_reviewer: { login: "hubot" },
+            },
+            {},
+            { users }
+        );
+        assert.ok(message.endsWith("\n🔔 [hubot](tg://user?id=123456)"));
+    });
+
+    it("pings @mentions in comments except the author and code", () => {
+        const message = formatMessage(
+            "issue_comment",
+            {
+                action: "created",
+                sender: { login: "octocat" },
+                issue: { number: 1, html_url: "https://e.com/issues/1" },
+                comment: {
+                    body: "@monalisa @octocat @unmapped `@hubot` mail@hubot.dev",
+                    html_url: "https://e.com/issues/1#c",
+                },
+            },
+            {},
+            { users }
+        );
+        assert.ok(message.endsWith("\n🔔 @mona\\_tg"));
+        assert.deepEqual(validateMarkdownV2(message).issues, []);
+    });
+});
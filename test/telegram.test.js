@@ -0,0 +1,439 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import worker, { validateMarkdownV2 } from "../worker.js";
+import {
+    createExecutionContext,
+    createMemoryKV,
+    githubRequest,
+    mockTelegram,
+} from "./helpers.js";
+
+const starPayload = {
+    action: "created",
+    repository: {
+        full_name: "octo-org/hello-world",
+        html_url: "https://github.com/octo-org/hello-world",
+    },
+    sender: { login: "octocat", html_url: "https://github.com/octocat" },
+};
+
+function createEnv() {
+    return {
+        COS_TELEGRAM_BOT_TOKEN: "123:test-token",
+        COS_TELEGRAM_CHAT_ID: "-1001",
+        COS_TELEGRAM_WEBHOOK_SECRET: "tg-secret",
+        COS_BRIDGE_KV: createMemoryKV(),
+    };
+}
+
+function telegramUpdate(
+    text,
+    { chatType = "private", userId = 42, chatId = -1001 } = {}
+) {
+    return new Request("https://bridge.example.workers.dev/telegram", {
+        method: "POST",
+        headers: {
+            "content-type": "application/json",
+            "X-Telegram-Bot-Api-Secret-Token": "tg-secret",
+        },
+        body: JSON.stringify({
+            update_id: 1,
+            message: {
+                message_id: 5,
+                from: { id: userId },
+                chat: { id: chatId, type: chatType },
+                text,
+            },
+        }),
+    });
+}
+
+async function dispatch(request, env) {
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await ctx.settled();
+    return response;
+}
+
+describe("Telegram bot commands", () => {
+    let telegram;
+    beforeEach(() => {
+        for (const level of ["log", "warn", "error"]) {
+            mock.method(console, level, () => {});
+        }
+        telegram = mockTelegram(({ method }) =>
+            method === "getChatMember"
+                ? { json: { ok: true, result: { status: "member" } } }
+                : undefined
+        );
+    });
+    afterEach(() => {
+        telegram.restore();
+        mock.restoreAll();
+    });
+
+    const replies = () =>
+        telegram.calls
+            .filter((call) => call.method === "sendMessage")
+            .map((call) => call.body.text);
+
+    it("requires the secret token", async () => {
+        const request = new Request(
+            "https://bridge.example.workers.dev/telegram",
+            { method: "POST", body: "{}" }
+        );
+        const response = await dispatch(request, createEnv());
+        assert.equal(response.status, 401);
+    });
+
+    it("is disabled without a webhook secret", async () => {
+        const env = createEnv();
+        delete env.COS_TELEGRAM_WEBHOOK_SECRET;
+        const response = await dispatch(telegramUpdate("/help"), env);
+        assert.equal(response.status, 404);
+    });
+
+    it("replies to /help with valid MarkdownV2", async () => {
+        await dispatch(telegramUpdate("/help@cos_bridge_bot"), createEnv());
+        const [help] = replies();
+        assert.match(help, /\/mute <repo> \[duration\]/);
+        assert.deepEqual(validateMarkdownV2(help).issues, []);
+        assert.equal(telegram.calls[0].body.reply_to_message_id, 5);
+    });
+
+    it("mutes and unmutes a repository", async () => {
+        const env = createEnv();
+        await dispatch(telegramUpdate("/mute octo-org/* 2h"), env);
+        assert.match(replies()[0], /Muted `octo\\-org\/\\\*` here for /);
+
+        const muted = await dispatch(githubRequest("star", starPayload), env);
+        assert.equal(muted.status, 200);
+        assert.equal(replies().length, 1);
+
+        await dispatch(telegramUpdate("/unmute"), env);
+        const unmuted = await dispatch(githubRequest("star", starPayload), env);
+        assert.equal(unmuted.status, 202);
+        assert.equal(replies().length, 3);
+    });
+
+    it("sends subscribed events to the chat as an extra target", async () => {
+        const env = {
+            ...createEnv(),
+            COS_TELEGRAM_CHAT_ID: "-2002",
+            COS_BOT_CHATS: ["-1001"],
+        };
+        await dispatch(telegramUpdate("/subscribe star:created"), env);
+        await dispatch(githubRequest("star", starPayload), env);
+        const sent = telegram.calls.filter(
+            (call) => call.method === "sendMessage"
+        );
+        assert.deepEqual(
+            sent.slice(1).map((call) => String(call.body.chat_id)),
+            ["-2002", "-1001"]
+        );
+    });
+
+    it("refuses settings commands from unconfigured chats", async () => {
+        const env = createEnv();
+        for (const command of ["/subscribe *", "/mute *", "/filters"]) {
+            await dispatch(telegramUpdate(command, { chatId: 555 }), env);
+        }
+        assert.equal(replies().length, 3);
+        for (const reply of replies()) {
+            assert.match(reply, /not allowed to use this command/);
+        }
+        assert.equal(env.COS_BRIDGE_KV.store.has("bot:subscriptions"), false);
+        assert.equal(env.COS_BRIDGE_KV.store.has("bot:mutes"), false);
+    });
+
+    it("ignores stored subscriptions of unconfigured chats", async () => {
+        const env = createEnv();
+        await env.COS_BRIDGE_KV.put(
+            "bot:subscriptions",
+            JSON.stringify([{ chat_id: 555, event: "*" }])
+        );
+        await dispatch(githubRequest("star", starPayload), env);
+        assert.deepEqual(
+            telegram.calls.map((call) => String(call.body.chat_id)),
+            ["-1001"]
+        );
+    });
+
+    it("applies the chat's severity threshold to subscriptions", async () => {
+        const env = {
+            ...createEnv(),
+            COS_ROUTING_RULES: [
+                {
+                    event: "star",
+                    targets: [{ chat_id: "-1001", min_severity: "critical" }],
+                },
+                { targets: [{ chat_id: "-2002" }] },
+            ],
+        };
+        await dispatch(telegramUpdate("/subscribe dependabot_alert"), env);
+        await dispatch(
+            githubRequest("dependabot_alert", {
+                ...starPayload,
+                alert: {
+                    number: 3,
+                    html_url:
+                        "https://github.com/octo-org/hello-world/security/dependabot/3",
+                    security_advisory: { severity: "high", summary: "Bad" },
+                    dependency: { package: { name: "lodash" } },
+                },
+            }),
+            env
+        );
+        assert.deepEqual(
+            telegram.calls.map((call) => String(call.body.chat_id)),
+            ["-1001", "-2002"],
+            "only the /subscribe reply and the routed alert"
+        );
+    });
+
+    it("only lets group administrators change settings", async () => {
+        const env = createEnv();
+        await dispatch(
+            telegramUpdate("/mute octo-org/hello-world", {
+                chatType: "supergroup",
+            }),
+            env
+        );
+        assert.match(replies()[0], /Only chat administrators/);
+        assert.equal(env.COS_BRIDGE_KV.store.has("bot:mutes"), false);
+    });
+
+    it("reports the last deliveries with /status", async () => {
+        const env = createEnv();
+        await dispatch(githubRequest("star", starPayload), env);
+        await dispatch(telegramUpdate("/status"), env);
+        const status = replies().at(-1);
+        assert.match(status, /✅ `star:created` octo\\-org\/hello\\-world/);
+        assert.match(status, /Dead letters waiting for replay: 0/);
+        assert.deepEqual(validateMarkdownV2(status).issues, []);
+    });
+
+    describe("direct messages", () => {
+        const dmEnv = () => ({
+            ...createEnv(),
+            COS_USER_MAP: { hubot: 42 },
+        });
+        const reviewRequest = {
+            ...starPayload,
+            action: "review_requested",
+            pull_request: {
+                number: 7,
+                html_url: "https://github.com/octo-org/hello-world/pull/7",
+            },
+            requested_reviewer: { login: "hubot" },
+        };
+        const sentTo = (chatId) =>
+            telegram.calls.filter(
+                (call) =>
+                    call.method === "sendMessage" &&
+                    String(call.body.chat_id) === String(chatId)
+            );
+
+        it("subscribes mapped users with /start and messages them", async () => {
+            const env = dmEnv();
+            await dispatch(telegramUpdate("/start", { chatId: 42 }), env);
+            assert.match(sentTo(42)[0].body.text, /Hi hubot\\!/);
+
+            await dispatch(githubRequest("pull_request", reviewRequest), env);
+            const [, dm] = sentTo(42);
+            assert.match(dm.body.text, /^\*👀 Your review was requested\*\n/);
+            assert.equal(sentTo(-1001).length, 1, "group still notified");
+
+            await dispatch(telegramUpdate("/stop", { chatId: 42 }), env);
+            await dispatch(githubRequest("pull_request", reviewRequest), env);
+            assert.equal(sentTo(42).length, 3);
+        });
+
+        it("only sends the chosen notification types", async () => {
+            const env = dmEnv();
+            await dispatch(
+                telegramUpdate("/start approved,ci_failed", { chatId: 42 }),
+                env
+            );
+            await dispatch(githubRequest("pull_request", reviewRequest), env);
+            assert.equal(sentTo(42).length, 1);
+        });
+
+        const failedRun = {
+            ...starPayload,
+            action: "completed",
+            sender: { login: "monalisa" },
+            workflow_run: {
+                id: 1,
+                name: "CI",
+                status: "completed",
+                conclusion: "failure",
+                html_url:
+                    "https://github.com/octo-org/hello-world/actions/runs/1",
+                actor: { login: "monalisa" },
+                pull_requests: [{ number: 7 }],
+            },
+        };
+
+        it("tells the pull request author, not the pusher, about failed CI", async () => {
+            telegram.restore();
+            telegram = mockTelegram(({ url }) =>
+                url.startsWith("https://api.github.com/")
+                    ? { json: { number: 7, user: { login: "hubot" } } }
+                    : undefined
+            );
+            const env = {
+                ...dmEnv(),
+                COS_USER_MAP: { hubot: 42, monalisa: 43 },
+                COS_GITHUB_TOKEN: "ghp_test",
+            };
+            await dispatch(telegramUpdate("/start", { chatId: 42 }), env);
+            await dispatch(
+                telegramUpdate("/start", { chatId: 43, userId: 43 }),
+                env
+            );
+            await dispatch(githubRequest("workflow_run", failedRun), env);
+            assert.ok(
+                telegram.calls.some(
+                    (call) =>
+                        call.url ===
+                        "https://api.github.com/repos/octo-org/hello-world/pulls/7"
+                )
+            );
+            assert.match(sentTo(42)[1].body.text, /^\*❌ CI failed on your/);
+            assert.equal(sentTo(43).length, 1, "only the /start reply");
+        });
+
+        it("tells nobody about failed CI when the author is unknown", async () => {
+            const env = { ...dmEnv(), COS_USER_MAP: { monalisa: 43 } };
+            await dispatch(
+                telegramUpdate("/start", { chatId: 43, userId: 43 }),
+                env
+            );
+            await dispatch(githubRequest("workflow_run", failedRun), env);
+            assert.equal(sentTo(43).length, 1, "only the /start reply");
+            assert.equal(sentTo(-1001).length, 1, "group still notified");
+        });
+
+        it("explains how to get mapped", async () => {
+            const env = dmEnv();
+            await dispatch(
+                telegramUpdate("/start", { chatId: 99, userId: 99 }),
+                env
+            );
+            assert.match(sentTo(99)[0].body.text, /user ID `99` in COS/);
+            assert.equal(
+                env.COS_BRIDGE_KV.store.has("bot:direct-messages"),
+                false
+            );
+        });
+    });
+
+    describe("action buttons", () => {
+        const prPayload = {
+            ...starPayload,
+            action: "opened",
+            pull_request: {
+                number: 7,
+                state: "open",
+                title: "Add dark mode",
+                html_url: "https://github.com/octo-org/hello-world/pull/7",
+            },
+        };
+        const actionEnv = () => ({
+            ...createEnv(),
+            COS_GITHUB_TOKEN: "ghp_test",
+            COS_ACTION_PERMISSIONS: { 42: ["approve_pr"] },
+        });
+        const pressButton = (callbackData, userId = 42) =>
+            new Request("https://bridge.example.workers.dev/telegram", {
+                method: "POST",
+                headers: { "X-Telegram-Bot-Api-Secret-Token": "tg-secret" },
+                body: JSON.stringify({
+                    update_id: 2,
+                    callback_query: {
+                        id: "cb-1",
+                        from: { id: userId, username: "octo_admin" },
+                        data: callbackData,
+                        message: {
+                            message_id: 1000,
+                            chat: { id: -1001, type: "supergroup" },
+                        },
+                    },
+                }),
+            });
+
+        it("attaches link and action buttons to notifications", async () => {
+            await dispatch(
+                githubRequest("pull_request", prPayload),
+                actionEnv()
+            );
+            const { inline_keyboard } = telegram.calls[0].body.reply_markup;
+            assert.deepEqual(inline_keyboard[0], [
+                { text: "Open PR", url: prPayload.pull_request.html_url },
+                {
+                    text: "Files changed",
+                    url: `${prPayload.pull_request.html_url}/files`,
+                },
+            ]);
+            assert.equal(inline_keyboard[1][0].text, "✅ Approve");
+            assert.match(inline_keyboard[1][0].callback_data, /^action:/);
+        });
+
+        it("only attaches link buttons without a GitHub token", async () => {
+            await dispatch(
+                githubRequest("pull_request", prPayload),
+                createEnv()
+            );
+            assert.equal(
+                telegram.calls[0].body.reply_markup.inline_keyboard.length,
+                1
+            );
+        });
+
+        it("runs permitted actions through the GitHub API", async () => {
+            const env = actionEnv();
+            await dispatch(githubRequest("pull_request", prPayload), env);
+            const button =
+                telegram.calls[0].body.reply_markup.inline_keyboard[1][0];
+
+            await dispatch(pressButton(button.callback_data), env);
+            const github = telegram.calls.find((call) =>
+                call.url.startsWith("https://api.github.com/")
+            );
+            assert.equal(
+                github.url,
+                "https://api.github.com/repos/octo-org/hello-world/pulls/7/reviews"
+            );
+            assert.deepEqual(github.body, { event: "APPROVE" });
+            const answer = telegram.calls.find(
+                (call) => call.method === "answerCallbackQuery"
+            );
+            assert.equal(answer.body.text, "Done.");
+            assert.equal(
+                replies().at(-1),
+                "@octo\\_admin approved pull request `octo\\-org/hello\\-world\\#7`"
+            );
+        });
+
+        it("refuses actions the Telegram user is not allowed", async () => {
+            const env = actionEnv();
+            await dispatch(githubRequest("pull_request", prPayload), env);
+            const button =
+                telegram.calls[0].body.reply_markup.inline_keyboard[1][0];
+
+            await dispatch(pressButton(button.callback_data, 99), env);
+            assert.equal(
+                telegram.calls.some((call) =>
+                    call.url.startsWith("https://api.github.com/")
+                ),
+                false
+            );
+            const answer = telegram.calls.find(
+                (call) => call.method === "answerCallbackQuery"
+            );
+            assert.match(answer.body.text, /not allowed/);
+        });
+    });
+});
@@ -2,37 +2,261 @@
 // - COS_TELEGRAM_BOT_TOKEN
 // - COS_TELEGRAM_CHAT_ID
 // - COS_TELEGRAM_MESSAGE_THREAD_ID
-// - COS_TIMELESS_GITHUB_SECRETS (Optional but Recommended)
+// - COS_TIMELESS_GITHUB_SECRETS (Optional but Recommended; a secret or a JSON
+//   list of secrets with optional expiry for rotation)
+// - COS_ALLOW_SHA1_SIGNATURES (Optional, "true" accepts legacy X-Hub-Signature)
+// - COS_MAX_BODY_BYTES (Optional, maximum webhook body size; default 25 MB)
+// - COS_GITHUB_HOOK_CIDRS (Optional, JSON list of allowed source IP ranges)
+// - COS_ROUTING_RULES (Optional, JSON routing rules; see README)
+// - COS_EVENT_FILTERS (Optional, JSON allow/deny filters; see README)
+// - COS_DELIVERY_DEDUP_TTL (Optional, seconds; default 3 days)
+// - COS_FORCE_REDELIVERY (Optional, "true" re-sends duplicate deliveries)
+// - COS_ADMIN_TOKEN (Optional, enables the /admin/ maintenance API)
+// - COS_TELEGRAM_MAX_ATTEMPTS (Optional, Telegram API attempts; default 4)
+// - COS_PREVIEW_LENGTHS (Optional, JSON body preview lengths per event)
+// - COS_PUSH_MAX_COMMITS (Optional, commits listed per push; default 5)
+// - COS_MESSAGE_TEMPLATES (Optional, JSON message templates per event:action)
+// - COS_DIGEST (Optional, JSON digest mode settings; needs KV and a Cron Trigger)
+// - COS_REPORTS (Optional, JSON activity report schedule; needs KV)
+// - COS_TELEGRAM_WEBHOOK_SECRET (Optional, enables bot commands on /telegram)
+// - COS_BOT_CHATS (Optional, JSON list of extra chat IDs allowed to use them)
+// - COS_ACTION_BUTTONS (Optional, "false" disables inline keyboard buttons)
+// - COS_GITHUB_TOKEN (Optional, enables GitHub action buttons)
+// - COS_ACTION_PERMISSIONS (Optional, JSON Telegram user ID -> GitHub actions)
+// - COS_SECURITY_ALERTS (Optional, JSON severity threshold, on-call mention, pinning)
+// - COS_USER_MAP (Optional, JSON GitHub login -> Telegram user for mentions)
+//
+// Optional KV namespace binding:
+// - COS_BRIDGE_KV (configuration documents stored under `config:<name>` keys
+//   take precedence over the corresponding environment variables; tenants
+//   for /hook/<tenant-id> are stored under `tenant:<tenant-id>` keys)
+
+// Default number of commits listed individually in a push notification.
+const MAX_PUSH_COMMITS = 5;
+
+// Repositories listed by name in GitHub App installation notifications.
+const MAX_LISTED_REPOSITORIES = 10;
+
+// Telegram's limit for a message's text, and the room reserved in each part
+// of a split message for its "(n/total)" marker.
+const TELEGRAM_MAX_MESSAGE_LENGTH = 4096;
+const SPLIT_MARKER_RESERVE = 16;
+
+// How long CI status message IDs are kept for edit-in-place updates.
+const STATUS_MESSAGE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// How long issue/PR message IDs are kept for reply-threading follow-ups.
+const CONVERSATION_MESSAGE_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// How long X-GitHub-Delivery IDs are remembered to drop duplicate deliveries.
+const DEFAULT_DELIVERY_DEDUP_TTL_SECONDS = 3 * 24 * 60 * 60;
+
+// Telegram API retry policy. Delays beyond the maximum are not waited for,
+// since the worker only has ~30s of waitUntil time after responding.
+const DEFAULT_TELEGRAM_MAX_ATTEMPTS = 4;
+const TELEGRAM_RETRY_BASE_DELAY_MS = 1000;
+const TELEGRAM_MAX_RETRY_DELAY_MS = 10 * 1000;
+
+// How long undeliverable Telegram messages are kept for replay.
+const DEAD_LETTER_TTL_SECONDS = 14 * 24 * 60 * 60;
+
+// Event types batched by digest mode unless COS_DIGEST lists its own, and
+// how long queued events are kept if no Cron Trigger flushes them.
+const DEFAULT_DIGEST_EVENTS = [
+    "star",
+    "watch",
+    "fork",
+    "label",
+    "workflow_job",
+];
+const DIGEST_ENTRY_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Activity report periods, how long recorded events are kept (the longest
+// period plus a day), and how many top contributors a report lists.
+const REPORT_PERIODS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+};
+const REPORT_EVENT_TTL_SECONDS = 8 * 24 * 60 * 60;
+const REPORT_TOP_CONTRIBUTORS = 3;
+
+// Events and CI conclusions that bypass the digest and are sent immediately.
+const URGENT_EVENTS = [
+    "dependabot_alert",
+    "code_scanning_alert",
+    "secret_scanning_alert",
+    "repository_vulnerability_alert",
+    "security_advisory",
+];
+const URGENT_CONCLUSIONS = ["failure", "timed_out", "startup_failure"];
+
+// Alert severities from lowest to highest, the severities of code scanning
+// rules without a security severity, and the alert actions that announce a
+// new or returning vulnerability (the only ones made louder).
+const SEVERITY_LEVELS = ["low", "medium", "high", "critical"];
+const CODE_SCANNING_RULE_SEVERITIES = {
+    note: "low",
+    warning: "medium",
+    error: "high",
+};
+const LOUD_ALERT_ACTIONS = [
+    "created",
+    "reopened",
+    "reopened_by_user",
+    "auto_reopened",
+    "reintroduced",
+    "publicly_leaked",
+    "create",
+    "reopen",
+    "published",
+];
+
+// Events whose comment or review body is scanned for @mentions, GitHub's
+// login syntax for them, and the reasons a user is pinged in the group.
+const MENTION_BODY_EVENTS = [
+    "issue_comment",
+    "pull_request_review_comment",
+    "pull_request_review",
+    "commit_comment",
+    "discussion_comment",
+];
+const GITHUB_MENTION_PATTERN =
+    /(?<![\w@/])@([a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38})(?![\w/])/gi;
+const MENTION_TRIGGERS = ["review_requested", "assigned", "mentioned"];
+
+// Reasons a user can get a direct message from the bot (see /start), with
+// the line that introduces the notification.
+const DIRECT_MESSAGE_TRIGGERS = {
+    review_requested: "👀 Your review was requested",
+    assigned: "📌 You were assigned",
+    mentioned: "💬 You were mentioned",
+    ci_failed: "❌ CI failed on your pull request",
+    approved: "✅ Your pull request was approved",
+};
+
+// Content types GitHub delivers webhooks with, and the default maximum body
+// size (GitHub caps payloads at 25 MB).
+const SUPPORTED_CONTENT_TYPES = [
+    "application/json",
+    "application/x-www-form-urlencoded",
+];
+const DEFAULT_MAX_BODY_BYTES = 25 * 1024 * 1024;
+
+// Webhook signature algorithms; SHA-1 (X-Hub-Signature) only when opted in
+// with COS_ALLOW_SHA1_SIGNATURES.
+const SIGNATURE_HASHES = { sha256: "SHA-256", sha1: "SHA-1" };
+
+// Valid /hook/<tenant-id> IDs, and the configuration documents a tenant can
+// set for itself (see loadJsonConfig()).
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TENANT_CONFIG_NAMES = [
+    "filters",
+    "routing",
+    "templates",
+    "preview-lengths",
+    "security-alerts",
+    "users",
+    "action-permissions",
+    "digest",
+    "reports",
+];
+
+// How many delivery results the /status bot command shows, and how long
+// they are kept.
+const BOT_STATUS_RESULTS = 10;
+const DELIVERY_RESULTS_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// How long the context of GitHub action buttons is kept.
+const ACTION_BUTTON_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Events the `branches` filter applies to (paths apply to push only).
+const BRANCH_FILTERED_EVENTS = [
+    "push",
+    "workflow_run",
+    "workflow_job",
+    "check_suite",
+    "check_run",
+    "status",
+];
 
 export default {
     async fetch(request, env, ctx) {
+        const url = new URL(request.url);
+        if (url.pathname.startsWith("/admin/")) {
+            return handleAdminRequest(request, env, url);
+        }
+        if (url.pathname === "/telegram") {
+            return handleTelegramRequest(request, env, ctx);
+        }
+        if (url.pathname.startsWith("/hook/")) {
+            const tenantId = url.pathname.substring("/hook/".length);
+            const tenantEnv = await resolveTenantEnv(tenantId, env);
+            if (!tenantEnv) {
+                return new Response("Unknown tenant.", { status: 404 });
+            }
+            console.log(`Webhook delivery for tenant "${tenantId}".`);
+            env = tenantEnv;
+        }
+
         // --- Request validation and signature verification ---
         if (request.method !== "POST") {
             return new Response("Method Not Allowed. Expected POST.", {
                 status: 405,
             });
         }
+        const clientIp = request.headers.get("CF-Connecting-IP");
+        if (!(await isAllowedSourceIp(clientIp, env))) {
+            console.error(
+                `Request from ${clientIp || "an unknown address"} is outside COS_GITHUB_HOOK_CIDRS.`
+            );
+            return new Response("Forbidden. Source IP not allowed.", {
+                status: 403,
+            });
+        }
         const githubEvent = request.headers.get("X-GitHub-Event");
         const githubSignature = request.headers.get("X-Hub-Signature-256");
-        const contentType = request.headers.get("content-type");
+        const mediaType = parseMediaType(request.headers.get("content-type"));
 
         if (!githubEvent) {
             return new Response("Missing X-GitHub-Event header.", {
                 status: 400,
             });
         }
-        if (!contentType || contentType !== "application/json") {
+        const charset = mediaType.params.charset?.toLowerCase();
+        if (
+            !SUPPORTED_CONTENT_TYPES.includes(mediaType.type) ||
+            (charset && charset !== "utf-8")
+        ) {
             return new Response(
-                "Unsupported content-type. Expected application/json.",
+                "Unsupported content-type. Expected application/json or application/x-www-form-urlencoded (UTF-8).",
                 { status: 415 }
             );
         }
 
+        const maxBodyBytes = getMaxBodyBytes(env);
+        if (Number(request.headers.get("content-length")) > maxBodyBytes) {
+            return new Response(
+                `Payload Too Large. The limit is ${maxBodyBytes} bytes.`,
+                { status: 413 }
+            );
+        }
         const requestClone = request.clone();
-        const bodyText = await requestClone.text();
+        // The signature covers the raw body, whatever its content type.
+        const bodyBytes = await requestClone.arrayBuffer();
+        if (bodyBytes.byteLength > maxBodyBytes) {
+            return new Response(
+                `Payload Too Large. The limit is ${maxBodyBytes} bytes.`,
+                { status: 413 }
+            );
+        }
 
         if (env.COS_TIMELESS_GITHUB_SECRETS) {
-            if (!githubSignature) {
+            // Legacy SHA-1 signatures are only looked at when opted in.
+            const legacySignature =
+                env.COS_ALLOW_SHA1_SIGNATURES === "true"
+                    ? request.headers.get("X-Hub-Signature")
+                    : null;
+            if (!githubSignature && !legacySignature) {
                 console.error(
                     "GitHub Secret configured, but X-Hub-Signature-256 header missing."
                 );
@@ -41,18 +265,23 @@ export default {
                 });
             }
             try {
-                const verified = await verifyGitHubSignature(
-                    env.COS_TIMELESS_GITHUB_SECRETS,
-                    bodyText,
-                    githubSignature
+                const matched = await findMatchingSecret(
+                    getActiveWebhookSecrets(env),
+                    bodyBytes,
+                    githubSignature,
+                    legacySignature
                 );
-                if (!verified) {
+                if (!matched) {
                     console.error("Invalid GitHub signature.");
                     return new Response("Forbidden. Invalid signature.", {
                         status: 403,
                     });
                 }
-                console.log("GitHub signature verified successfully.");
+                console.log(
+                    `GitHub signature verified successfully with secret "${
+                        matched.name
+                    }"${matched.legacy ? " (legacy SHA-1 signature)" : ""}.`
+                );
             } catch (error) {
                 console.error("Error verifying GitHub signature:", error);
                 return new Response(
@@ -60,24 +289,81 @@ export default {
                     { status: 500 }
                 );
             }
+        } else if (env.COS_TENANT_ID) {
+            console.error(
+                `Tenant "${env.COS_TENANT_ID}" has no webhook secret configured.`
+            );
+            return new Response("Forbidden. Tenant has no webhook secret.", {
+                status: 403,
+            });
         } else {
             console.warn(
                 "COS_TIMELESS_GITHUB_SECRETS not set. Skipping signature verification."
             );
         }
         // --- End verification ---
+        const bodyText = new TextDecoder().decode(bodyBytes);
+
+        const deliveryId = request.headers.get("X-GitHub-Delivery");
+        if (await isDuplicateDelivery(deliveryId, env)) {
+            console.log(`Duplicate delivery ${deliveryId} ignored.`);
+            return new Response(
+                `Webhook received, delivery "${deliveryId}" was already processed.`,
+                { status: 200 }
+            );
+        }
 
         let payload;
         try {
-            payload = JSON.parse(bodyText);
+            // Form-encoded deliveries carry the JSON in a `payload` field.
+            payload = JSON.parse(
+                mediaType.type === "application/x-www-form-urlencoded"
+                    ? new URLSearchParams(bodyText).get("payload")
+                    : bodyText
+            );
         } catch (e) {
             console.error("Failed to parse JSON payload:", e);
+            await forgetDelivery(deliveryId, env);
             return new Response("Bad Request: Invalid JSON.", { status: 400 });
         }
+        if (!payload || typeof payload !== "object") {
+            return new Response("Bad Request: Missing JSON payload.", {
+                status: 400,
+            });
+        }
+
+        ctx.waitUntil(recordReportEvent(githubEvent, payload, env));
+
+        const suppressedBy = await findSuppressingFilter(
+            githubEvent,
+            payload,
+            env
+        );
+        if (suppressedBy) {
+            console.log(
+                `Delivery for event ${githubEvent} suppressed by filter: ${suppressedBy}`
+            );
+            return new Response(
+                `Webhook received, delivery suppressed by filter rule: ${suppressedBy}.`,
+                { status: 200 }
+            );
+        }
 
         let message = "";
         try {
-            message = formatMessage(githubEvent, payload, env);
+            message = formatMessage(githubEvent, payload, env, {
+                previewLengths: await loadJsonConfig(
+                    env,
+                    "COS_PREVIEW_LENGTHS",
+                    "preview-lengths"
+                ),
+                templates: await loadJsonConfig(
+                    env,
+                    "COS_MESSAGE_TEMPLATES",
+                    "templates"
+                ),
+                users: await loadJsonConfig(env, "COS_USER_MAP", "users"),
+            });
         } catch (error) {
             console.error(
                 `Error formatting message for event ${githubEvent}:`,
@@ -92,10 +378,96 @@ export default {
         }
 
         if (message) {
+            ctx.waitUntil(
+                sendDirectMessages(githubEvent, payload, message, env)
+            );
+            const securityAlerts =
+                (await loadJsonConfig(
+                    env,
+                    "COS_SECURITY_ALERTS",
+                    "security-alerts"
+                )) || {};
+            const targets = applySeverityThresholds(
+                githubEvent,
+                payload,
+                await applyChatSettings(
+                    githubEvent,
+                    payload,
+                    await resolveTargets(githubEvent, payload, env),
+                    env
+                ),
+                securityAlerts
+            );
+            if (targets.length === 0) {
+                console.log(
+                    `Routing rules, mutes and severity thresholds left no Telegram target for event: ${githubEvent}`
+                );
+                return new Response(
+                    `Webhook received, no routing target configured (or all muted or below min_severity) for event type "${githubEvent}".`,
+                    { status: 200 }
+                );
+            }
+            if (await queueDigestEvent(githubEvent, payload, targets, env)) {
+                console.log(`Event ${githubEvent} queued for the next digest.`);
+                return new Response(
+                    "Webhook received, event queued for the next digest.",
+                    { status: 202 }
+                );
+            }
             console.log(
-                `Sending message to Telegram for event: ${githubEvent}`
+                `Sending message to Telegram for event: ${githubEvent} (${targets.length} target(s))`
+            );
+            const replyMarkup = await buildActionKeyboard(
+                githubEvent,
+                payload,
+                env
+            );
+            const loudSeverity = getLoudAlertSeverity(
+                githubEvent,
+                payload,
+                securityAlerts
+            );
+            ctx.waitUntil(
+                Promise.all(
+                    targets.map(async (target) => {
+                        const text = loudSeverity
+                            ? formatLoudAlert(
+                                  message,
+                                  loudSeverity,
+                                  target.mention ?? securityAlerts.mention
+                              )
+                            : message;
+                        const ok = await deliverMessage(
+                            text,
+                            env,
+                            target,
+                            githubEvent,
+                            payload,
+                            {
+                                replyMarkup,
+                                pin: Boolean(
+                                    loudSeverity && securityAlerts.pin
+                                ),
+                            }
+                        );
+                        await recordDeliveryResult(
+                            target,
+                            githubEvent,
+                            payload,
+                            ok,
+                            env
+                        );
+                        return ok;
+                    })
+                ).then(async (results) => {
+                    if (results.some(Boolean)) return;
+                    // Let GitHub's "Redeliver" retry what reached no chat.
+                    console.warn(
+                        `Delivery ${deliveryId} reached no Telegram target; forgetting it.`
+                    );
+                    await forgetDelivery(deliveryId, env);
+                })
             );
-            ctx.waitUntil(sendTelegramMessage(message, env));
             return new Response("Webhook received and processing initiated.", {
                 status: 202,
             });
@@ -113,1127 +485,5263 @@ export default {
             );
         }
     },
+
+    async scheduled(controller, env, ctx) {
+        ctx.waitUntil(runScheduledTasks(controller.cron, env));
+    },
 };
 
-// --- Helper Functions ---
+// --- Telegram bot commands ---
 
-async function verifyGitHubSignature(secret, body, signatureHeader) {
-    if (!signatureHeader || !signatureHeader.startsWith("sha256="))
-        return false;
-    const signature = signatureHeader.substring(7);
-    const encoder = new TextEncoder();
-    const key = await crypto.subtle.importKey(
-        "raw",
-        encoder.encode(secret),
-        { name: "HMAC", hash: "SHA-256" },
-        false,
-        ["sign"]
+/**
+ * Handles Telegram updates posted to /telegram, authenticated with the
+ * secret token set via setWebhook (COS_TELEGRAM_WEBHOOK_SECRET). Telegram
+ * retries failed updates, so every authenticated update is answered with 200.
+ */
+async function handleTelegramRequest(request, env, ctx) {
+    if (!env.COS_TELEGRAM_WEBHOOK_SECRET) {
+        return new Response("Not Found.", { status: 404 });
+    }
+    if (request.method !== "POST") {
+        return new Response("Method Not Allowed. Expected POST.", {
+            status: 405,
+        });
+    }
+    const secretToken =
+        request.headers.get("X-Telegram-Bot-Api-Secret-Token") || "";
+    if (
+        !(await timingSafeEqual(secretToken, env.COS_TELEGRAM_WEBHOOK_SECRET))
+    ) {
+        return new Response("Unauthorized.", { status: 401 });
+    }
+
+    let update;
+    try {
+        update = await request.json();
+    } catch (error) {
+        console.error("Failed to parse Telegram update:", error);
+        return new Response("Bad Request: Invalid JSON.", { status: 400 });
+    }
+    ctx.waitUntil(
+        handleTelegramUpdate(update, env).catch((error) =>
+            console.error("Failed to handle Telegram update:", error)
+        )
     );
-    const mac = await crypto.subtle.sign("HMAC", key, encoder.encode(body));
-    const calculatedSignature = Array.from(new Uint8Array(mac))
-        .map((b) => b.toString(16).padStart(2, "0"))
-        .join("");
-    return await timingSafeEqual(signature, calculatedSignature);
+    return new Response("OK", { status: 200 });
 }
 
-async function timingSafeEqual(a, b) {
-    if (a.length !== b.length) return false;
-    let result = 0;
-    const encoder = new TextEncoder();
-    const encodedA = encoder.encode(a);
-    const encodedB = encoder.encode(b);
-    for (let i = 0; i < encodedA.length; i++)
-        result |= encodedA[i] ^ encodedB[i];
-    return result === 0;
+async function handleTelegramUpdate(update, env) {
+    if (update.callback_query) {
+        await handleCallbackQuery(update.callback_query, env);
+        return;
+    }
+    const message = update.message;
+    if (!message?.text?.startsWith("/")) return;
+
+    const [commandWithBot, ...args] = message.text.trim().split(/\s+/);
+    const command = commandWithBot.replace(/@\w+$/, "").toLowerCase();
+    const handler = BOT_COMMANDS[command];
+    const chat = {
+        chat_id: message.chat.id,
+        thread_id: message.is_topic_message
+            ? message.message_thread_id
+            : undefined,
+    };
+    if (!handler) {
+        if (message.chat.type === "private") {
+            await replyToCommand(
+                message,
+                chat,
+                `Unknown command\\. ${BOT_HELP}`,
+                env
+            );
+        }
+        return;
+    }
+    console.log(`Telegram command ${command} from chat ${chat.chat_id}.`);
+
+    let reply;
+    if (handler.needsKv && !env.COS_BRIDGE_KV) {
+        reply = "This command needs the COS\\_BRIDGE\\_KV namespace\\.";
+    } else if (
+        handler.configuredChatsOnly &&
+        !findConfiguredChat(await getConfiguredChats(env), chat.chat_id)
+    ) {
+        reply = `This chat is not allowed to use this command\\. Add its ID \`${escapeMarkdownV2(String(chat.chat_id))}\` to COS\\_BOT\\_CHATS first\\.`;
+    } else if (handler.adminOnly && !(await isChatAdmin(message, env))) {
+        reply = "Only chat administrators can use this command\\.";
+    } else {
+        reply = await handler.run({ args, chat, message, env });
+    }
+    await replyToCommand(message, chat, reply, env);
 }
 
-function escapeMarkdownV2(text) {
-    if (!text) return "";
-    // Escape characters: _ * [ ] ( ) ~ ` > # + - = | { } . !
-    // Need to escape backslashes first if they appear in the text
-    //text = text.replace(/\\/g, "\\\\");
-    return text.replace(/([_*\[\]()~`>#+\-=|{}.!])/g, "\\$1");
+function replyToCommand(message, chat, text, env) {
+    return sendTelegramMessage(text, env, chat, {
+        replyToMessageId: message.message_id,
+    });
 }
 
-function formatDuration(startStr, endStr) {
-    if (!startStr || !endStr) return "";
+/**
+ * Returns true if the sender of a message may change this chat's settings:
+ * in private chats everyone, in groups only administrators.
+ */
+async function isChatAdmin(message, env) {
+    if (message.chat.type === "private") return true;
+    const response = await callTelegramApi(
+        "getChatMember",
+        { chat_id: message.chat.id, user_id: message.from?.id },
+        env
+    );
+    return (
+        response.ok &&
+        ["creator", "administrator"].includes(response.result?.status)
+    );
+}
+
+/**
+ * Returns the chats the bridge is configured to notify: the default chat, the
+ * targets of every routing rule and the extra chats listed in COS_BOT_CHATS.
+ * Only these chats may change settings with bot commands, and subscriptions
+ * made anywhere else are ignored.
+ * @returns {Promise<Array<{chat_id: string, min_severity?: string}>>}
+ */
+async function getConfiguredChats(env) {
+    const rules = await loadJsonConfig(env, "COS_ROUTING_RULES", "routing");
+    // The extra chats are the worker's own, not a tenant's.
+    const botChats = env.COS_TENANT_ID
+        ? null
+        : await loadJsonConfig(env, "COS_BOT_CHATS", "bot-chats");
+    return [
+        getDefaultTarget(env),
+        ...(Array.isArray(rules)
+            ? rules.flatMap((rule) => rule.targets || [])
+            : []),
+        ...(Array.isArray(botChats)
+            ? botChats.map((chatId) => ({ chat_id: chatId }))
+            : []),
+    ].filter((chat) => chat.chat_id !== undefined && chat.chat_id !== "");
+}
+
+function findConfiguredChat(chats, chatId) {
+    return chats.find((chat) => String(chat.chat_id) === String(chatId));
+}
+
+const BOT_HELP = [
+    "*Commands*",
+    "`/mute <repo> [duration]` \\- mute a repository \\(or `*`\\) here, e\\.g\\. `/mute octo-org/app 2h`",
+    "`/unmute [repo]` \\- unmute a repository, or everything",
+    "`/subscribe <event[:actions]>` \\- also send these events here",
+    "`/unsubscribe <event[:actions]>` \\- remove a subscription",
+    "`/filters` \\- show filters, mutes and subscriptions",
+    "`/status` \\- show the last deliveries to this chat",
+    "`/start [types]` \\- in a private chat, get direct messages about your reviews, assignments, mentions and pull requests",
+    "`/stop` \\- stop direct messages",
+    "`/help` \\- show this help",
+].join("\n");
+
+const BOT_COMMANDS = {
+    "/help": { run: () => BOT_HELP },
+    "/start": {
+        async run({ args, message, env }) {
+            if (message.chat.type !== "private") return BOT_HELP;
+            if (!env.COS_BRIDGE_KV) {
+                return `${BOT_HELP}\n\nDirect messages need the COS\\_BRIDGE\\_KV namespace\\.`;
+            }
+            const login = findGitHubLogin(
+                await loadJsonConfig(env, "COS_USER_MAP", "users"),
+                message.from
+            );
+            if (!login) {
+                return `${BOT_HELP}\n\nTo get direct messages, ask an administrator to map your GitHub login to your Telegram user ID \`${message.from?.id}\` in COS\\_USER\\_MAP\\.`;
+            }
+            const triggers = args.length
+                ? args.flatMap((arg) => arg.split(",")).filter(Boolean)
+                : Object.keys(DIRECT_MESSAGE_TRIGGERS);
+            const triggerList = Object.keys(DIRECT_MESSAGE_TRIGGERS)
+                .map((trigger) => `\`${escapeMarkdownV2(trigger)}\``)
+                .join(", ");
+            if (triggers.some((trigger) => !DIRECT_MESSAGE_TRIGGERS[trigger])) {
+                return `Usage: \`/start [types]\` with types from ${triggerList}\\.`;
+            }
+            await updateBotState(env, "direct-messages", (subscriptions) => [
+                ...subscriptions.filter(
+                    (subscription) =>
+                        String(subscription.user_id) !== String(message.from.id)
+                ),
+                {
+                    user_id: message.from.id,
+                    chat_id: message.chat.id,
+                    login,
+                    triggers,
+                },
+            ]);
+            return [
+                `👋 Hi ${escapeMarkdownV2(login)}\\! I will message you here for:`,
+                ...triggers.map(
+                    (trigger) => `• ${DIRECT_MESSAGE_TRIGGERS[trigger]}`
+                ),
+                "Send `/stop` to opt out\\.",
+            ].join("\n");
+        },
+    },
+    "/stop": {
+        needsKv: true,
+        async run({ message, env }) {
+            let removed = false;
+            await updateBotState(env, "direct-messages", (subscriptions) =>
+                subscriptions.filter((subscription) => {
+                    const matches =
+                        String(subscription.user_id) ===
+                        String(message.from?.id);
+                    removed ||= matches;
+                    return !matches;
+                })
+            );
+            return removed
+                ? "🔕 You will no longer get direct messages\\."
+                : "You are not getting direct messages\\.";
+        },
+    },
+    "/mute": {
+        needsKv: true,
+        configuredChatsOnly: true,
+        adminOnly: true,
+        async run({ args, chat, env }) {
+            const [repository, duration] = args;
+            if (!repository) return "Usage: `/mute <repo> [duration]`";
+            let until = null;
+            if (duration) {
+                const durationMs = parseDuration(duration);
+                if (!durationMs) {
+                    return "Durations look like `30m`, `2h`, `1d` or `1w`\\.";
+                }
+                until = Date.now() + durationMs;
+            }
+            await updateBotState(env, "mutes", (mutes) => [
+                ...mutes.filter(
+                    (mute) =>
+                        !(
+                            isSameChat(mute, chat) &&
+                            mute.repository === repository
+                        )
+                ),
+                { ...chat, repository, until },
+            ]);
+            return `🔇 Muted \`${escapeMarkdownV2(repository)}\` here${
+                until
+                    ? ` for ${escapeMarkdownV2(formatElapsed(until - Date.now()))}`
+                    : " until `/unmute`"
+            }\\.`;
+        },
+    },
+    "/unmute": {
+        needsKv: true,
+        configuredChatsOnly: true,
+        adminOnly: true,
+        async run({ args, chat, env }) {
+            const [repository] = args;
+            let removed = 0;
+            await updateBotState(env, "mutes", (mutes) =>
+                mutes.filter((mute) => {
+                    const matches =
+                        isSameChat(mute, chat) &&
+                        (!repository || mute.repository === repository);
+                    if (matches) removed++;
+                    return !matches;
+                })
+            );
+            return removed > 0
+                ? `🔊 Removed ${removed} mute${removed === 1 ? "" : "s"}\\.`
+                : "Nothing was muted here\\.";
+        },
+    },
+    "/subscribe": {
+        needsKv: true,
+        configuredChatsOnly: true,
+        adminOnly: true,
+        async run({ args, chat, env }) {
+            const [event] = args;
+            if (!event) return "Usage: `/subscribe <event[:actions]>`";
+            await updateBotState(env, "subscriptions", (subscriptions) => [
+                ...subscriptions.filter(
+                    (subscription) =>
+                        !(
+                            isSameChat(subscription, chat) &&
+                            subscription.event === event
+                        )
+                ),
+                { ...chat, event },
+            ]);
+            return `🔔 \`${escapeMarkdownV2(event)}\` events will also be sent here\\.`;
+        },
+    },
+    "/unsubscribe": {
+        needsKv: true,
+        configuredChatsOnly: true,
+        adminOnly: true,
+        async run({ args, chat, env }) {
+            const [event] = args;
+            if (!event) return "Usage: `/unsubscribe <event[:actions]>`";
+            let removed = false;
+            await updateBotState(env, "subscriptions", (subscriptions) =>
+                subscriptions.filter((subscription) => {
+                    const matches =
+                        isSameChat(subscription, chat) &&
+                        subscription.event === event;
+                    removed ||= matches;
+                    return !matches;
+                })
+            );
+            return removed
+                ? `🔕 Unsubscribed from \`${escapeMarkdownV2(event)}\`\\.`
+                : `This chat is not subscribed to \`${escapeMarkdownV2(event)}\`\\.`;
+        },
+    },
+    "/filters": {
+        configuredChatsOnly: true,
+        async run({ chat, env }) {
+            const filters = await loadJsonConfig(
+                env,
+                "COS_EVENT_FILTERS",
+                "filters"
+            );
+            const filtersJson = JSON.stringify(filters, null, 2);
+            const lines = [
+                filters
+                    ? `*Event filters:*\n\`\`\`json\n${filtersJson.replace(/[`\\]/g, "\\$&")}\n\`\`\``
+                    : "*Event filters:* none",
+            ];
+            if (env.COS_BRIDGE_KV) {
+                const mutes = (await getActiveMutes(env))
+                    .filter((mute) => isSameChat(mute, chat))
+                    .map((mute) => {
+                        const left = mute.until
+                            ? ` \\(${escapeMarkdownV2(
+                                  formatElapsed(mute.until - Date.now())
+                              )} left\\)`
+                            : "";
+                        return `\`${escapeMarkdownV2(mute.repository)}\`${left}`;
+                    });
+                const subscriptions = (await getBotState(env, "subscriptions"))
+                    .filter((subscription) => isSameChat(subscription, chat))
+                    .map(
+                        (subscription) =>
+                            `\`${escapeMarkdownV2(subscription.event)}\``
+                    );
+                lines.push(
+                    `*Muted here:* ${mutes.join(", ") || "nothing"}`,
+                    `*Subscribed here:* ${subscriptions.join(", ") || "nothing"}`
+                );
+            }
+            return lines.join("\n");
+        },
+    },
+    "/status": {
+        needsKv: true,
+        async run({ chat, env }) {
+            const results = await getBotState(
+                env,
+                `delivery-results:${chat.chat_id}`
+            );
+            const deadLetters = await env.COS_BRIDGE_KV.list({
+                prefix: "dead-letter:",
+            });
+            const lines = [
+                `*Last deliveries to this chat:*${results.length > 0 ? "" : " none yet"}`,
+                ...results.map(
+                    (result) =>
+                        `${result.ok ? "✅" : "❌"} \`${escapeMarkdownV2(
+                            result.event
+                        )}\`${
+                            result.repository
+                                ? ` ${escapeMarkdownV2(result.repository)}`
+                                : ""
+                        } \\- ${escapeMarkdownV2(
+                            new Date(result.at).toISOString()
+                        )}`
+                ),
+                `Dead letters waiting for replay: ${deadLetters.keys.length}${
+                    deadLetters.list_complete ? "" : "\\+"
+                }`,
+            ];
+            return lines.join("\n");
+        },
+    },
+};
+
+/**
+ * Parses durations like "30m", "2h", "1d" or "1w".
+ * @returns {number|null} The duration in milliseconds.
+ */
+function parseDuration(text) {
+    const match = /^(\d+)([mhdw])$/.exec(text);
+    if (!match) return null;
+    const unitMs = { m: 60, h: 60 * 60, d: 24 * 60 * 60, w: 7 * 24 * 60 * 60 };
+    return parseInt(match[1], 10) * unitMs[match[2]] * 1000 || null;
+}
+
+function isSameChat(a, b) {
+    return (
+        String(a.chat_id) === String(b.chat_id) &&
+        String(a.thread_id ?? "") === String(b.thread_id ?? "")
+    );
+}
+
+/**
+ * Reads a list kept by the bot commands in KV (`bot:<name>`).
+ * @returns {Promise<object[]>}
+ */
+async function getBotState(env, name) {
     try {
-        const start = new Date(startStr);
-        const end = new Date(endStr);
-        const durationMs = end - start;
-        if (durationMs < 0) return "";
+        return (await env.COS_BRIDGE_KV.get(`bot:${name}`, "json")) || [];
+    } catch (error) {
+        console.error(`Failed to read bot state "${name}" from KV:`, error);
+        return [];
+    }
+}
 
-        const seconds = Math.floor(durationMs / 1000) % 60;
-        const minutes = Math.floor(durationMs / (1000 * 60)) % 60;
-        const hours = Math.floor(durationMs / (1000 * 60 * 60));
+async function updateBotState(env, name, update, options = {}) {
+    const value = update(await getBotState(env, name));
+    await env.COS_BRIDGE_KV.put(`bot:${name}`, JSON.stringify(value), options);
+}
 
-        let durationStr = "";
-        if (hours > 0) durationStr += `${hours}h `;
-        if (minutes > 0) durationStr += `${minutes}m `;
-        durationStr += `${seconds}s`;
+async function getActiveMutes(env) {
+    const now = Date.now();
+    return (await getBotState(env, "mutes")).filter(
+        (mute) => !mute.until || mute.until > now
+    );
+}
 
-        return `\\(took ${escapeMarkdownV2(durationStr.trim())}\\)`;
-    } catch (e) {
-        console.error("Error parsing duration:", e);
-        return "";
+/**
+ * Applies the chat settings made with bot commands to an event's targets:
+ * chats subscribed to the event are added and muted chats are removed.
+ * Subscriptions only count in configured chats (see getConfiguredChats()),
+ * and take over the strictest `min_severity` of the chat's configured targets.
+ */
+async function applyChatSettings(eventType, payload, targets, env) {
+    if (!env.COS_BRIDGE_KV || !env.COS_TELEGRAM_WEBHOOK_SECRET) return targets;
+    const configuredChats = await getConfiguredChats(env);
+    const subscribed = [];
+    for (const subscription of await getBotState(env, "subscriptions")) {
+        if (!eventRuleMatches(subscription.event, eventType, payload.action)) {
+            continue;
+        }
+        const configured = configuredChats.filter(
+            (chat) => String(chat.chat_id) === String(subscription.chat_id)
+        );
+        if (configured.length === 0) {
+            console.warn(
+                `Ignoring subscription of unconfigured chat ${subscription.chat_id}.`
+            );
+            continue;
+        }
+        // The strictest threshold any configured target of the chat has.
+        const [minSeverity] = configured
+            .map((chat) => String(chat.min_severity ?? "").toLowerCase())
+            .filter((threshold) => SEVERITY_LEVELS.includes(threshold))
+            .sort(
+                (a, b) =>
+                    SEVERITY_LEVELS.indexOf(b) - SEVERITY_LEVELS.indexOf(a)
+            );
+        const { chat_id, thread_id } = subscription;
+        subscribed.push(
+            minSeverity
+                ? { chat_id, thread_id, min_severity: minSeverity }
+                : { chat_id, thread_id }
+        );
+    }
+    const repository = payload.repository?.full_name;
+    const mutes = (await getActiveMutes(env)).filter(
+        (mute) =>
+            mute.repository === "*" || matchesGlob(repository, mute.repository)
+    );
+
+    const result = [];
+    for (const target of [...targets, ...subscribed]) {
+        if (result.some((existing) => isSameChat(existing, target))) continue;
+        if (mutes.some((mute) => isSameChat(mute, target))) {
+            console.log(
+                `Skipping muted target ${target.chat_id} for ${repository}.`
+            );
+            continue;
+        }
+        result.push(target);
     }
+    return result;
 }
 
 /**
- * Formats the message based on the GitHub event type and payload.
- * @param {string} eventType The GitHub event type.
- * @param {object} payload The parsed JSON payload from GitHub.
- * @param {object} env Environment variables.
- * @returns {string} The formatted message string (MarkdownV2), or empty string.
+ * Sends a direct message to each user who opted in with /start and whom the
+ * event concerns (see getConcernedUsers()), introduced by the reason.
  */
-function formatMessage(eventType, payload, env) {
-    const repo = payload.repository;
-    const sender = payload.sender;
-    const organization = payload.organization; 
+async function sendDirectMessages(eventType, payload, message, env) {
+    if (!env.COS_BRIDGE_KV || !env.COS_TELEGRAM_WEBHOOK_SECRET) return;
+    const concerned = await resolvePullRequestAuthors(
+        getConcernedUsers(eventType, payload),
+        payload,
+        env
+    );
+    if (concerned.length === 0) return;
+    const subscriptions = await getBotState(env, "direct-messages");
+    const notified = new Set();
+    for (const { login, trigger } of concerned) {
+        const subscription = subscriptions.find(
+            (candidate) =>
+                candidate.login.toLowerCase() === login.toLowerCase() &&
+                candidate.triggers.includes(trigger)
+        );
+        if (!subscription || notified.has(subscription.user_id)) continue;
+        notified.add(subscription.user_id);
+        console.log(`Sending ${trigger} direct message to ${login}.`);
+        await sendTelegramMessage(
+            `*${escapeMarkdownV2(DIRECT_MESSAGE_TRIGGERS[trigger])}*\n${message}`,
+            env,
+            { chat_id: subscription.chat_id }
+        );
+    }
+}
 
-    const senderName = escapeMarkdownV2(sender?.login || "unknown_user");
-    const senderUrl = sender?.html_url;
-    const userLink = senderUrl ? `[${senderName}](${senderUrl})` : senderName;
+/**
+ * Replaces the `ci_failed` stand-in (the run's actor, who may be a maintainer
+ * pushing to someone else's branch) with the authors of the run's pull
+ * requests, looked up with COS_GITHUB_TOKEN. Without a token, or if no
+ * lookup succeeds, nobody is told rather than the wrong person.
+ */
+async function resolvePullRequestAuthors(concerned, payload, env) {
+    if (!concerned.some(({ trigger }) => trigger === "ci_failed")) {
+        return concerned;
+    }
+    const others = concerned.filter(({ trigger }) => trigger !== "ci_failed");
+    const repository = payload.repository?.full_name;
+    if (!env.COS_GITHUB_TOKEN || !repository) return others;
+    const authors = new Set();
+    for (const pullRequest of payload.workflow_run.pull_requests) {
+        const response = await callGitHubApi(
+            "GET",
+            `/repos/${repository}/pulls/${pullRequest.number}`,
+            undefined,
+            env
+        );
+        if (response.ok && response.result?.user?.login) {
+            authors.add(response.result.user.login);
+        } else {
+            console.warn(
+                `Could not look up the author of ${repository}#${pullRequest.number}: ${response.description}`
+            );
+        }
+    }
+    return [
+        ...others,
+        ...[...authors].map((login) => ({ login, trigger: "ci_failed" })),
+    ];
+}
 
-    const repoName = escapeMarkdownV2(repo?.full_name || "");
-    const repoUrl = repo?.html_url;
-    
-    const repoLink = repoName
-        ? repoUrl
-            ? `[${repoName}](${repoUrl})`
-            : repoName
-        : "";
+/**
+ * Remembers the outcome of a delivery for the /status command.
+ */
+async function recordDeliveryResult(target, eventType, payload, ok, env) {
+    if (!env.COS_BRIDGE_KV || !env.COS_TELEGRAM_WEBHOOK_SECRET) return;
+    try {
+        await updateBotState(
+            env,
+            `delivery-results:${target.chat_id}`,
+            (results) =>
+                [
+                    {
+                        event: payload.action
+                            ? `${eventType}:${payload.action}`
+                            : eventType,
+                        repository: payload.repository?.full_name,
+                        ok,
+                        at: Date.now(),
+                    },
+                    ...results,
+                ].slice(0, BOT_STATUS_RESULTS),
+            { expirationTtl: DELIVERY_RESULTS_TTL_SECONDS }
+        );
+    } catch (error) {
+        console.error("Failed to record delivery result in KV:", error);
+    }
+}
 
-    const repoContext = repoLink ? `in ${repoLink}` : "";
+// --- Action buttons ---
 
-    let message = "";
-    const action = payload.action;
+// GitHub actions that notification buttons can trigger. Each button stores
+// its context in KV; `run` performs the action with COS_GITHUB_TOKEN.
+const GITHUB_ACTIONS = {
+    approve_pr: {
+        label: "✅ Approve",
+        done: "approved pull request",
+        run: ({ repo, number }, env) =>
+            callGitHubApi(
+                "POST",
+                `/repos/${repo}/pulls/${number}/reviews`,
+                { event: "APPROVE" },
+                env
+            ),
+    },
+    close_issue: {
+        label: "🔒 Close issue",
+        done: "closed issue",
+        run: ({ repo, number }, env) =>
+            callGitHubApi(
+                "PATCH",
+                `/repos/${repo}/issues/${number}`,
+                { state: "closed" },
+                env
+            ),
+    },
+    rerun_failed_jobs: {
+        label: "🔁 Re-run failed jobs",
+        done: "re-ran the failed jobs of workflow run",
+        run: ({ repo, number }, env) =>
+            callGitHubApi(
+                "POST",
+                `/repos/${repo}/actions/runs/${number}/rerun-failed-jobs`,
+                {},
+                env
+            ),
+    },
+};
 
-    const getStatusIcon = (status, conclusion) => {
-        if (status === "completed") {
-            switch (conclusion) {
-                case "success":
-                    return "✅";
-                case "failure":
-                    return "❌";
-                case "cancelled":
-                    return "🚫";
-                case "skipped":
-                    return "⏭️";
-                default:
-                    return "🏁";
-            }
-        }
-        if (status === "queued") return "⏳";
-        if (status === "waiting") return "⏳";
-        if (status === "in_progress") return "⚙️";
-        if (status === "requested") return "🙋";
-        return "ℹ️";
-    };
+/**
+ * Builds the inline keyboard for a notification: link buttons for the PR,
+ * issue or run, plus GitHub action buttons when COS_GITHUB_TOKEN, the KV
+ * namespace and the /telegram route are configured.
+ * @returns {Promise<object|undefined>} A `reply_markup` object, if any.
+ */
+async function buildActionKeyboard(eventType, payload, env) {
+    if (env.COS_ACTION_BUTTONS === "false") return undefined;
+    const repo = payload.repository?.full_name;
+    const links = [];
+    const actions = [];
 
     switch (eventType) {
-        case "create": {
-            const refType = escapeMarkdownV2(payload.ref_type || "item");
-            const refName = escapeMarkdownV2(payload.ref || "unknown");
-            message = `${userLink} 🌱 created ${refType} \`${refName}\` ${repoContext}`;
-            break;
-        }
-        case "delete": {
-            const refType = escapeMarkdownV2(payload.ref_type || "item");
-            const refName = escapeMarkdownV2(payload.ref || "unknown");
-            message = `${userLink} 🗑️ deleted ${refType} \`${refName}\` from ${repoLink}`;
+        case "pull_request": {
+            const pr = payload.pull_request;
+            if (!pr?.html_url) break;
+            links.push(
+                { text: "Open PR", url: pr.html_url },
+                { text: "Files changed", url: `${pr.html_url}/files` }
+            );
+            if (
+                pr.state === "open" &&
+                !pr.draft &&
+                [
+                    "opened",
+                    "reopened",
+                    "ready_for_review",
+                    "synchronize",
+                    "review_requested",
+                ].includes(payload.action)
+            ) {
+                actions.push(["approve_pr", pr.number]);
+            }
             break;
         }
-        case "repository": {
-            const repoNameLink = payload.repository?.html_url
-                ? `[${escapeMarkdownV2(payload.repository.full_name)}](${
-                      payload.repository.html_url
-                  })`
-                : escapeMarkdownV2(
-                      payload.repository?.full_name || "repository"
-                  );
-            let verb = escapeMarkdownV2(action);
-            switch (action) {
-                case "created":
-                    verb = `✨ created repository ${repoNameLink}`;
-                    break;
-                case "deleted":
-                    verb = `🗑️ deleted repository \`${escapeMarkdownV2(
-                        payload.repository.full_name
-                    )}\``;
-                    break;
-                case "archived":
-                    verb = `📦 archived repository ${repoNameLink}`;
-                    break;
-                case "unarchived":
-                    verb = `🔓 unarchived repository ${repoNameLink}`;
-                    break;
-                case "publicized":
-                    verb = `🌎 made repository ${repoNameLink} public`;
-                    break;
-                case "privatized":
-                    verb = `🔒 made repository ${repoNameLink} private`;
-                    break;
-                case "edited":
-                    verb = `✏️ edited repository ${repoNameLink}`;
-                    break;
-                case "renamed":
-                    verb = `✏️ renamed repository from \`${escapeMarkdownV2(
-                        payload.changes?.repository?.name?.from || "?"
-                    )}\` to ${repoNameLink}`;
-                    break;
-                case "transferred":
-                    verb = `↔️ transferred repository ${repoNameLink} (New owner: ${escapeMarkdownV2(
-                        payload.repository.owner?.login || "?"
-                    )})`;
-                    break;
-                default:
-                    verb = `performed action \`${verb}\` on repository ${repoNameLink}`;
+        case "issues": {
+            const issue = payload.issue;
+            if (!issue?.html_url) break;
+            links.push({ text: "Open issue", url: issue.html_url });
+            if (
+                issue.state === "open" &&
+                ["opened", "reopened"].includes(payload.action)
+            ) {
+                actions.push(["close_issue", issue.number]);
             }
-            message = `${userLink} ${verb}`;
-            break;
-        }
-        case "workflow_job": {
-            const job = payload.workflow_job;
-            const jobName = escapeMarkdownV2(job?.name || "job");
-            const status = job?.status;
-            const conclusion = job?.conclusion;
-            const icon = getStatusIcon(status, conclusion);
-            const runUrl = job?.run_url;
-            
-            const runIdStr = String(job?.run_id || "?");
-            const runLink = runUrl
-                ? `run [${escapeMarkdownV2(runIdStr)}](${runUrl})`
-                : `run ${escapeMarkdownV2(runIdStr)}`;
-
-            const duration = formatDuration(job?.started_at, job?.completed_at);
-            
-            message = `${icon} Workflow job \`${jobName}\` ${escapeMarkdownV2(
-                status
-            )} ${
-                conclusion ? `\\(${escapeMarkdownV2(conclusion)}\\) ` : ""
-            }${duration} in ${runLink} ${repoContext}`;
             break;
         }
         case "workflow_run": {
             const run = payload.workflow_run;
-            const workflow = payload.workflow;
-            const runName = escapeMarkdownV2(
-                run?.name || workflow?.name || "workflow"
-            );
-            const status = run?.status; 
-            const conclusion = run?.conclusion;
-            const icon = getStatusIcon(status, conclusion);
-            const runUrl = run?.html_url;
-            const duration = formatDuration(
-                run?.run_started_at,
-                run?.updated_at
-            );
-            const runNumberStr = String(run?.run_number || "?");
-            
-             message = `${icon} Workflow run \`${runName}\` \\#${escapeMarkdownV2(runNumberStr)} ${escapeMarkdownV2(status)} ${
-                conclusion ? `\\(${escapeMarkdownV2(conclusion)}\\) ` : ""
-            }${duration} ${
-                runUrl ? `\\([View Run](${runUrl})\\) ` : ""
-            }${repoContext}`;
-            if (sender?.login !== run?.actor?.login) {
-            
-                message += ` triggered by ${escapeMarkdownV2(
-                    run?.actor?.login || "?"
-                )}`;
+            if (!run?.html_url) break;
+            links.push({ text: "View run", url: run.html_url });
+            if (run.status === "completed" && run.conclusion === "failure") {
+                actions.push(["rerun_failed_jobs", run.id]);
             }
             break;
         }
-        case "page_build": {
-            const build = payload.build;
-            const status = build?.status;
-            const pageUrl = repoUrl
-                ? `${repoUrl.replace(
-                      "github.com",
-                      escapeMarkdownV2(repo.owner.login) + ".github.io"
-                  )}/${escapeMarkdownV2(repo.name)}`
-                : "";
-            let icon = "📄";
-            let messageText = "";
-            if (status === "built") {
-                icon = "✅";
-                messageText = `GitHub Pages site built successfully ${
-                    pageUrl ? `\\([View Site](${pageUrl})\\) ` : ""
-                }${repoContext}`;
-            } else if (status === "errored") {
-                icon = "❌";
-                messageText = `GitHub Pages site build failed ${repoContext}`;
-                if (build.error?.message) {
-                    messageText += `\\n> Error: ${escapeMarkdownV2(
-                        build.error.message
-                    )}`;
+    }
+
+    const keyboard = links.length > 0 ? [links] : [];
+    const canAct =
+        env.COS_GITHUB_TOKEN &&
+        env.COS_BRIDGE_KV &&
+        env.COS_TELEGRAM_WEBHOOK_SECRET &&
+        repo;
+    if (canAct && actions.length > 0) {
+        const buttons = [];
+        for (const [action, number] of actions) {
+            const id = crypto.randomUUID();
+            try {
+                await env.COS_BRIDGE_KV.put(
+                    `action:${id}`,
+                    JSON.stringify({ action, repo, number }),
+                    { expirationTtl: ACTION_BUTTON_TTL_SECONDS }
+                );
+                buttons.push({
+                    text: GITHUB_ACTIONS[action].label,
+                    callback_data: `action:${id}`,
+                });
+            } catch (error) {
+                console.error("Failed to store action button in KV:", error);
+            }
+        }
+        if (buttons.length > 0) keyboard.push(buttons);
+    }
+    return keyboard.length > 0 ? { inline_keyboard: keyboard } : undefined;
+}
+
+/**
+ * Handles a press on a GitHub action button: checks the Telegram user's
+ * permissions (COS_ACTION_PERMISSIONS), performs the action and reports the
+ * outcome.
+ */
+async function handleCallbackQuery(query, env) {
+    const answer = (text) =>
+        callTelegramApi(
+            "answerCallbackQuery",
+            { callback_query_id: query.id, text, show_alert: true },
+            env
+        );
+    const id = query.data?.match(/^action:([\w-]+)$/)?.[1];
+    if (!id || !env.COS_BRIDGE_KV) return;
+
+    const context = await env.COS_BRIDGE_KV.get(`action:${id}`, "json");
+    const action = GITHUB_ACTIONS[context?.action];
+    if (!action) {
+        await answer("This button has expired.");
+        return;
+    }
+    if (!(await hasActionPermission(query.from?.id, context.action, env))) {
+        console.log(
+            `Telegram user ${query.from?.id} is not allowed to ${context.action}.`
+        );
+        await answer("You are not allowed to do this.");
+        return;
+    }
+
+    const response = await action.run(context, env);
+    const subject = `${context.repo}#${context.number}`;
+    if (!response.ok) {
+        console.error(
+            `GitHub action ${context.action} on ${subject} failed: ${response.description}`
+        );
+        await answer(`GitHub rejected the request: ${response.description}`);
+        return;
+    }
+    console.log(
+        `Telegram user ${query.from?.id} ran ${context.action} on ${subject}.`
+    );
+    await answer("Done.");
+
+    const message = query.message;
+    if (message) {
+        const user = escapeMarkdownV2(
+            query.from.username
+                ? `@${query.from.username}`
+                : query.from.first_name
+        );
+        await sendTelegramMessage(
+            `${user} ${action.done} \`${escapeMarkdownV2(subject)}\``,
+            env,
+            {
+                chat_id: message.chat.id,
+                thread_id: message.is_topic_message
+                    ? message.message_thread_id
+                    : undefined,
+            },
+            { replyToMessageId: message.message_id }
+        );
+    }
+}
+
+/**
+ * Returns true if COS_ACTION_PERMISSIONS allows a Telegram user to run a
+ * GitHub action. The map is keyed by Telegram user ID and lists action names,
+ * or `"*"` for all.
+ */
+async function hasActionPermission(userId, action, env) {
+    const permissions = await loadJsonConfig(
+        env,
+        "COS_ACTION_PERMISSIONS",
+        "action-permissions"
+    );
+    const allowed = permissions?.[String(userId)];
+    return (
+        Array.isArray(allowed) &&
+        (allowed.includes("*") || allowed.includes(action))
+    );
+}
+
+/**
+ * Calls the GitHub REST API with COS_GITHUB_TOKEN.
+ * @returns {Promise<{ok: boolean, status?: number, result?: any, description?: string}>}
+ */
+async function callGitHubApi(method, path, body, env) {
+    try {
+        const response = await fetch(`https://api.github.com${path}`, {
+            method,
+            headers: {
+                Accept: "application/vnd.github+json",
+                Authorization: `Bearer ${env.COS_GITHUB_TOKEN}`,
+                "Content-Type": "application/json",
+                "User-Agent": "codeopsstudio-telegram-webhook-bridge",
+                "X-GitHub-Api-Version": "2022-11-28",
+            },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await response.text();
+        let result = null;
+        try {
+            result = text ? JSON.parse(text) : null;
+        } catch (e) {
+            result = text;
+        }
+        if (!response.ok) {
+            return {
+                ok: false,
+                status: response.status,
+                description: `${response.status} ${
+                    result?.message || response.statusText
+                }`,
+            };
+        }
+        return { ok: true, status: response.status, result };
+    } catch (error) {
+        return {
+            ok: false,
+            description: `network/fetch error: ${error?.message || error}`,
+        };
+    }
+}
+
+// --- Request validation ---
+
+/**
+ * Parses a Content-Type header into its lowercased media type and its
+ * parameters, e.g. "application/json; charset=utf-8".
+ * @returns {{type: string, params: Object<string, string>}}
+ */
+function parseMediaType(header) {
+    const [type, ...params] = (header || "").split(";");
+    return {
+        type: type.trim().toLowerCase(),
+        params: Object.fromEntries(
+            params
+                .map((param) => {
+                    const [name, ...value] = param.split("=");
+                    return [
+                        name.trim().toLowerCase(),
+                        value
+                            .join("=")
+                            .trim()
+                            .replace(/^"(.*)"$/, "$1"),
+                    ];
+                })
+                .filter(([name]) => name)
+        ),
+    };
+}
+
+function getMaxBodyBytes(env) {
+    const maxBytes = parseInt(env.COS_MAX_BODY_BYTES, 10);
+    return Number.isFinite(maxBytes) && maxBytes > 0
+        ? maxBytes
+        : DEFAULT_MAX_BODY_BYTES;
+}
+
+/**
+ * Checks the client address (CF-Connecting-IP) against the CIDR allow-list
+ * in COS_GITHUB_HOOK_CIDRS, e.g. the `hooks` ranges of GitHub's meta API.
+ * Without an allow-list every address is allowed; with one, requests
+ * without a known address are not.
+ */
+async function isAllowedSourceIp(address, env) {
+    const cidrs = await loadJsonConfig(
+        env,
+        "COS_GITHUB_HOOK_CIDRS",
+        "hook-cidrs"
+    );
+    if (!Array.isArray(cidrs) || cidrs.length === 0) return true;
+    const ip = parseIpAddress(address);
+    return Boolean(ip) && cidrs.some((cidr) => isIpInCidr(ip, cidr));
+}
+
+/**
+ * Parses an IPv4 or IPv6 address into its version and numeric value.
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are treated as IPv4.
+ * @returns {{version: 4|6, value: bigint}|null}
+ */
+function parseIpAddress(address) {
+    const text = String(address || "").trim();
+    const ipv4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(text);
+    if (ipv4) {
+        const octets = ipv4.slice(1).map(Number);
+        if (octets.some((octet) => octet > 255)) return null;
+        return {
+            version: 4,
+            value: octets.reduce(
+                (sum, octet) => (sum << 8n) + BigInt(octet),
+                0n
+            ),
+        };
+    }
+    const mapped = /^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i.exec(text);
+    if (mapped) return parseIpAddress(mapped[1]);
+    if (!text.includes(":") || !/^[\da-f:]+$/i.test(text)) return null;
+
+    const halves = text.split("::");
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(":") : [];
+    const tail = halves[1] ? halves[1].split(":") : [];
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+    const groups = [...head, ...Array(missing).fill("0"), ...tail];
+    if (groups.some((group) => !/^[\da-f]{1,4}$/i.test(group))) return null;
+    return {
+        version: 6,
+        value: groups.reduce(
+            (sum, group) => (sum << 16n) + BigInt(parseInt(group, 16)),
+            0n
+        ),
+    };
+}
+
+/**
+ * Whether a parsed address lies in a CIDR range such as "192.30.252.0/22".
+ * A range without a prefix length matches that single address.
+ */
+function isIpInCidr(ip, cidr) {
+    const [rangeAddress, prefix] = String(cidr).split("/");
+    const range = parseIpAddress(rangeAddress);
+    if (!range || range.version !== ip.version) return false;
+    const bits = ip.version === 4 ? 32 : 128;
+    const prefixLength = prefix === undefined ? bits : Number(prefix);
+    if (!Number.isInteger(prefixLength) || prefixLength < 0) return false;
+    if (prefixLength > bits) return false;
+    const shift = BigInt(bits - prefixLength);
+    return ip.value >> shift === range.value >> shift;
+}
+
+// --- Tenants ---
+
+/**
+ * Resolves the environment for a tenant webhook on /hook/<tenant-id>. The
+ * tenant's KV document (`tenant:<tenant-id>`) supplies the webhook secret,
+ * the Telegram bot token, chat and thread, GitHub token, and its own
+ * configuration documents (e.g. `filters` and `routing`); anything else
+ * falls back to the worker's settings.
+ * @returns {Promise<object|null>} The tenant environment, or null if the
+ *     tenant does not exist.
+ */
+async function resolveTenantEnv(tenantId, env) {
+    if (!env.COS_BRIDGE_KV || !TENANT_ID_PATTERN.test(tenantId)) return null;
+    let tenant;
+    try {
+        tenant = await env.COS_BRIDGE_KV.get(`tenant:${tenantId}`, "json");
+    } catch (error) {
+        console.error(`Failed to read tenant "${tenantId}" from KV:`, error);
+        return null;
+    }
+    if (!tenant) return null;
+
+    const tenantEnv = {
+        ...env,
+        COS_TENANT_ID: tenantId,
+        COS_TENANT_CONFIG: tenant,
+        COS_TIMELESS_GITHUB_SECRETS: tenant.secret,
+        COS_TELEGRAM_CHAT_ID: tenant.chat_id,
+        COS_TELEGRAM_MESSAGE_THREAD_ID: tenant.thread_id,
+        // The worker's token must never act on another team's repositories.
+        COS_GITHUB_TOKEN: tenant.github_token,
+    };
+    if (tenant.allow_sha1 !== undefined) {
+        tenantEnv.COS_ALLOW_SHA1_SIGNATURES = String(tenant.allow_sha1);
+    }
+    if (tenant.bot_token) {
+        tenantEnv.COS_TELEGRAM_BOT_TOKEN = tenant.bot_token;
+        // Bot commands and callback buttons are only wired to the worker's
+        // own bot, so they are off for tenants with a bot of their own.
+        delete tenantEnv.COS_TELEGRAM_WEBHOOK_SECRET;
+    }
+    return tenantEnv;
+}
+
+/**
+ * Returns the worker's environment followed by the environment of every
+ * tenant, for tasks that run for each of them (digests and reports).
+ */
+async function listTenantEnvs(env) {
+    const envs = [env];
+    if (!env.COS_BRIDGE_KV) return envs;
+    let cursor;
+    do {
+        const page = await env.COS_BRIDGE_KV.list({
+            prefix: "tenant:",
+            cursor,
+        });
+        for (const key of page.keys) {
+            const tenantId = key.name.substring("tenant:".length);
+            const tenantEnv = await resolveTenantEnv(tenantId, env);
+            if (tenantEnv) envs.push(tenantEnv);
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return envs;
+}
+
+// --- Helper Functions ---
+
+/**
+ * Loads a JSON configuration document. For a tenant (see resolveTenantEnv()),
+ * the documents in TENANT_CONFIG_NAMES only come from the tenant's own
+ * configuration, so the worker's routing, users and so on never apply to
+ * another team's events. Otherwise a KV document stored under
+ * `config:<kvName>` takes precedence over the environment variable.
+ * @param {object} env Environment variables.
+ * @param {string} envName Name of the environment variable holding JSON.
+ * @param {string} kvName Name of the KV configuration document.
+ * @returns {Promise<any>} The parsed configuration, or null if unset/invalid.
+ */
+async function loadJsonConfig(env, envName, kvName) {
+    if (env.COS_TENANT_ID && TENANT_CONFIG_NAMES.includes(kvName)) {
+        return env.COS_TENANT_CONFIG?.[kvName] ?? null;
+    }
+    if (env.COS_BRIDGE_KV) {
+        try {
+            const stored = await env.COS_BRIDGE_KV.get(
+                `config:${kvName}`,
+                "json"
+            );
+            if (stored) return stored;
+        } catch (error) {
+            console.error(`Failed to read config "${kvName}" from KV:`, error);
+        }
+    }
+    const value = env[envName];
+    if (!value) return null;
+    if (typeof value === "object") return value; // JSON vars from wrangler
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error(`Invalid JSON in ${envName}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Converts a glob pattern into a RegExp. `**` matches anything, `*` matches
+ * anything except `/`, and `?` matches a single character.
+ */
+function globToRegExp(pattern) {
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === "*") {
+            if (pattern[i + 1] === "*") {
+                // `**/` also matches zero directories
+                if (pattern[i + 2] === "/") {
+                    source += "(?:.*/)?";
+                    i += 2;
+                } else {
+                    source += ".*";
+                    i++;
                 }
-            } else if (status === "building") {
-                icon = "⚙️";
-                messageText = `GitHub Pages site build started ${repoContext}`;
             } else {
-                messageText = `GitHub Pages build status \`${escapeMarkdownV2(
-                    status
-                )}\` ${repoContext}`;
+                source += "[^/]*";
             }
-            message = `${icon} ${messageText}`;
-            break;
+        } else if (char === "?") {
+            source += "[^/]";
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
         }
-        case "check_suite": {
-            const suite = payload.check_suite;
-            const appName = escapeMarkdownV2(suite?.app?.name || "Check Suite");
-            const status = suite?.status;
-            const conclusion = suite?.conclusion;
-            const icon = getStatusIcon(status, conclusion);
-            const branch = escapeMarkdownV2(suite?.head_branch || "?");
-
-              message = `${icon} ${appName} status \`${escapeMarkdownV2(
-                status
-            )}\` ${
-                conclusion ? `\\(${escapeMarkdownV2(conclusion)}\\) ` : ""
-            }on branch \`${branch}\` ${repoContext}`;
-            break;
+    }
+    return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Returns true if any of the values matches any of the glob patterns.
+ * @param {string|string[]} values Value or list of values to test.
+ * @param {string|string[]} patterns Glob pattern or list of patterns.
+ */
+function matchesGlob(values, patterns) {
+    const valueList = (Array.isArray(values) ? values : [values]).filter(
+        (value) => value !== undefined && value !== null && value !== ""
+    );
+    const patternList = Array.isArray(patterns) ? patterns : [patterns];
+    return valueList.some((value) =>
+        patternList.some((pattern) =>
+            globToRegExp(String(pattern)).test(String(value))
+        )
+    );
+}
+
+/**
+ * Extracts the branch names an event relates to.
+ * @returns {string[]} Branch names (may be empty).
+ */
+function getEventBranches(eventType, payload) {
+    const stripRef = (ref) => (ref || "").replace(/^refs\/heads\//, "");
+    switch (eventType) {
+        case "push":
+            return payload.ref?.startsWith("refs/heads/")
+                ? [stripRef(payload.ref)]
+                : [];
+        case "create":
+        case "delete":
+            return payload.ref_type === "branch" ? [payload.ref] : [];
+        case "workflow_run":
+            return [payload.workflow_run?.head_branch];
+        case "workflow_job":
+            return [payload.workflow_job?.head_branch];
+        case "check_suite":
+            return [payload.check_suite?.head_branch];
+        case "check_run":
+            return [payload.check_run?.check_suite?.head_branch];
+        case "status":
+            return (payload.branches || []).map((branch) => branch.name);
+        case "pull_request":
+        case "pull_request_review":
+        case "pull_request_review_comment":
+        case "pull_request_review_thread":
+            return [payload.pull_request?.base?.ref];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Extracts the label names attached to an event's subject.
+ * @returns {string[]} Label names (may be empty).
+ */
+function getEventLabels(payload) {
+    const labels = [
+        payload.label,
+        ...(payload.issue?.labels || []),
+        ...(payload.pull_request?.labels || []),
+        ...(payload.discussion?.labels || []),
+    ];
+    return labels.map((label) => label?.name).filter(Boolean);
+}
+
+/**
+ * Checks whether a delivery GUID was already processed and records it. Always
+ * returns false without COS_BRIDGE_KV, without a GUID, or while
+ * COS_FORCE_REDELIVERY is "true".
+ * @returns {Promise<boolean>}
+ */
+async function isDuplicateDelivery(deliveryId, env) {
+    const kv = env.COS_BRIDGE_KV;
+    if (!kv || !deliveryId) return false;
+    const key = `delivery:${deliveryId}`;
+    try {
+        if (env.COS_FORCE_REDELIVERY !== "true" && (await kv.get(key))) {
+            return true;
         }
-        case "check_run": {
-            const run = payload.check_run;
-            const appName = escapeMarkdownV2(run?.app?.name || "Check Run");
-            const runName = escapeMarkdownV2(run?.name || "check");
-            const status = run?.status;
-            const conclusion = run?.conclusion;
-            const icon = getStatusIcon(status, conclusion);
-            const runUrl = run?.html_url;
-            const duration = formatDuration(run?.started_at, run?.completed_at);
-
-            message = `${icon} ${appName} \`${runName}\` ${escapeMarkdownV2(
-                status
-            )} ${
-                conclusion ? `(${escapeMarkdownV2(conclusion)}) ` : ""
-            }${duration} ${
-                runUrl ? `\\([Details](${runUrl})\\) ` : ""
-            }${repoContext}`;
-            break;
+        await kv.put(key, new Date().toISOString(), {
+            expirationTtl: getDeliveryDedupTtl(env),
+        });
+    } catch (error) {
+        console.error("Failed to check delivery ID in KV:", error);
+    }
+    return false;
+}
+
+/**
+ * Removes a delivery GUID recorded by isDuplicateDelivery(), so a
+ * redelivery of a failed delivery is processed again.
+ */
+async function forgetDelivery(deliveryId, env) {
+    if (!env.COS_BRIDGE_KV || !deliveryId) return;
+    try {
+        await env.COS_BRIDGE_KV.delete(`delivery:${deliveryId}`);
+    } catch (error) {
+        console.error("Failed to forget delivery ID in KV:", error);
+    }
+}
+
+function getDeliveryDedupTtl(env) {
+    const ttl = parseInt(env.COS_DELIVERY_DEDUP_TTL, 10);
+    // KV requires an expiration TTL of at least 60 seconds
+    return Number.isFinite(ttl) && ttl >= 60
+        ? ttl
+        : DEFAULT_DELIVERY_DEDUP_TTL_SECONDS;
+}
+
+// --- Admin API ---
+
+/**
+ * Decodes a percent-encoded path segment, or returns null if it is malformed
+ * (e.g. "%E0%A4%A").
+ */
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Handles maintenance requests under /admin/. Requires COS_ADMIN_TOKEN to be
+ * configured and sent as a bearer token.
+ */
+async function handleAdminRequest(request, env, url) {
+    if (!env.COS_ADMIN_TOKEN) {
+        return new Response("Not Found.", { status: 404 });
+    }
+    const authorization = request.headers.get("Authorization") || "";
+    if (
+        !(await timingSafeEqual(authorization, `Bearer ${env.COS_ADMIN_TOKEN}`))
+    ) {
+        return new Response("Unauthorized.", { status: 401 });
+    }
+    if (!env.COS_BRIDGE_KV) {
+        return new Response("COS_BRIDGE_KV binding is not configured.", {
+            status: 501,
+        });
+    }
+
+    const deliveryMatch = url.pathname.match(/^\/admin\/deliveries\/([^/]+)$/);
+    if (deliveryMatch && request.method === "DELETE") {
+        const deliveryId = decodePathSegment(deliveryMatch[1]);
+        if (deliveryId === null) {
+            return new Response("Bad Request: Malformed delivery ID.", {
+                status: 400,
+            });
         }
-        case "status": {
-            const commitSha = escapeMarkdownV2(
-                payload.sha?.substring(0, 7) || "commit"
-            );
-            const statusState = escapeMarkdownV2(payload.state); // error, failure, pending, success
-            const context = escapeMarkdownV2(payload.context || "Status");
-            const description = escapeMarkdownV2(payload.description || "");
-            const targetUrl = payload.target_url;
-            let icon = "ℹ️";
-            if (statusState === "success") icon = "✅";
-            if (statusState === "failure" || statusState === "error")
-                icon = "❌";
-            if (statusState === "pending") icon = "⏳";
-
-            message = `${icon} Status \`${context}\` updated to \`${statusState}\` for \`${commitSha}\` ${repoContext}`;
-            if (description) message += `\\n> ${description}`;
-            if (targetUrl) message += ` \\([Details](${targetUrl})\\)`;
-            break;
+        await env.COS_BRIDGE_KV.delete(`delivery:${deliveryId}`);
+        console.log(`Delivery ${deliveryId} removed from dedup storage.`);
+        return new Response(
+            `Delivery "${deliveryId}" forgotten. A redelivery will be sent again.`,
+            { status: 200 }
+        );
+    }
+
+    if (url.pathname === "/admin/digest/flush" && request.method === "POST") {
+        let sent = 0;
+        for (const flushEnv of await listTenantEnvs(env)) {
+            sent += await flushDigest(flushEnv);
         }
-        case "issues": {
-            const issue = payload.issue;
-            const action = payload.action;
-            const issueNumber = issue?.number;
-            const issueTitle = escapeMarkdownV2(
-                issue?.title || `Issue \\#${issueNumber || "?"}`
-            );
-            const issueUrl = issue?.html_url;
+        return jsonResponse({ sent });
+    }
+
+    if (url.pathname === "/admin/dead-letters" && request.method === "GET") {
+        return jsonResponse(await listDeadLetters(env));
+    }
+    if (
+        url.pathname === "/admin/dead-letters/replay" &&
+        request.method === "POST"
+    ) {
+        const deadLetters = await listDeadLetters(env);
+        let replayed = 0;
+        for (const deadLetter of deadLetters) {
+            if (await replayDeadLetter(deadLetter, env)) replayed++;
+        }
+        return jsonResponse({
+            replayed,
+            failed: deadLetters.length - replayed,
+        });
+    }
+    const deadLetterMatch = url.pathname.match(
+        /^\/admin\/dead-letters\/([^/]+)(\/replay)?$/
+    );
+    if (deadLetterMatch) {
+        const id = decodePathSegment(deadLetterMatch[1]);
+        if (id === null) {
+            return new Response("Bad Request: Malformed dead letter ID.", {
+                status: 400,
+            });
+        }
+        const key = `dead-letter:${id}`;
+        const entry = await env.COS_BRIDGE_KV.get(key, "json");
+        if (!entry) {
+            return new Response(`Dead letter "${id}" not found.`, {
+                status: 404,
+            });
+        }
+        if (deadLetterMatch[2] && request.method === "POST") {
+            const replayed = await replayDeadLetter({ id, ...entry }, env);
+            return jsonResponse({
+                replayed: replayed ? 1 : 0,
+                failed: replayed ? 0 : 1,
+            });
+        }
+        if (!deadLetterMatch[2] && request.method === "GET") {
+            return jsonResponse({ id, ...entry });
+        }
+        if (!deadLetterMatch[2] && request.method === "DELETE") {
+            await env.COS_BRIDGE_KV.delete(key);
+            return new Response(`Dead letter "${id}" discarded.`, {
+                status: 200,
+            });
+        }
+    }
+
+    return new Response("Not Found.", { status: 404 });
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data, null, 2), {
+        status,
+        headers: { "Content-Type": "application/json" },
+    });
+}
+
+/**
+ * Parses an `event[:action1,action2]` filter rule.
+ * @returns {{event: string, actions: string[]}}
+ */
+function parseEventRule(rule) {
+    const [event, actions = ""] = String(rule).split(":");
+    return {
+        event: event.trim(),
+        actions: actions
+            .split(",")
+            .map((action) => action.trim())
+            .filter(Boolean),
+    };
+}
+
+function eventRuleMatches(rule, eventType, action) {
+    const { event, actions } = parseEventRule(rule);
+    if (!matchesGlob(eventType, event)) return false;
+    return actions.length === 0 || actions.includes(action);
+}
+
+/**
+ * Checks the event filters and returns a description of the rule that
+ * suppresses this delivery, or null if it should be delivered.
+ * @returns {Promise<string|null>}
+ */
+async function findSuppressingFilter(eventType, payload, env) {
+    const filters = await loadJsonConfig(env, "COS_EVENT_FILTERS", "filters");
+    if (!filters) return null;
+    const action = payload.action;
+
+    const senderLogin = payload.sender?.login;
+    const ignoredSender = getFilterList(filters, "ignore_senders").find(
+        (pattern) => matchesGlob(senderLogin, pattern)
+    );
+    if (ignoredSender) return `ignore_senders "${ignoredSender}"`;
+
+    const denyRule = getFilterList(filters, "deny").find((rule) =>
+        eventRuleMatches(rule, eventType, action)
+    );
+    if (denyRule) return `deny "${denyRule}"`;
+
+    const allow = getFilterList(filters, "allow");
+    if (
+        allow.length > 0 &&
+        !allow.some((rule) => eventRuleMatches(rule, eventType, action))
+    ) {
+        return `not in allow list`;
+    }
+
+    const branchPatterns = getBranchFilter(filters.branches, eventType);
+    if (branchPatterns.length > 0) {
+        const branches = getEventBranches(eventType, payload).filter(Boolean);
+        if (branches.length > 0 && !matchesGlob(branches, branchPatterns)) {
+            return `branches "${branchPatterns.join(", ")}"`;
+        }
+    }
+
+    const pathPatterns = getFilterList(filters, "paths");
+    if (eventType === "push" && pathPatterns.length > 0) {
+        const files = (payload.commits || []).flatMap((commit) => [
+            ...(commit.added || []),
+            ...(commit.modified || []),
+            ...(commit.removed || []),
+        ]);
+        if (payload.commits?.length > 0 && !matchesGlob(files, pathPatterns)) {
+            return `paths "${pathPatterns.join(", ")}"`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Returns a list from the event filters. A single string is treated as a
+ * one-entry list; anything else that is not a list is ignored with a warning
+ * instead of breaking every delivery.
+ * @returns {string[]}
+ */
+function getFilterList(filters, key) {
+    const value = filters[key];
+    if (value === undefined || value === null) return [];
+    if (typeof value === "string") return [value];
+    if (Array.isArray(value)) {
+        return value.filter((entry) => typeof entry === "string");
+    }
+    console.warn(
+        `Ignoring COS_EVENT_FILTERS "${key}": expected a list of strings.`
+    );
+    return [];
+}
+
+/**
+ * Returns the branch patterns that apply to an event. `branches` is either a
+ * list applied to all CI and push events, or an object keyed by event type
+ * (with an optional `*` entry for the rest).
+ * @returns {string[]}
+ */
+function getBranchFilter(branches, eventType) {
+    if (!branches || !BRANCH_FILTERED_EVENTS.includes(eventType)) return [];
+    if (Array.isArray(branches)) return branches;
+    if (typeof branches === "string") return [branches];
+    const patterns = branches[eventType] ?? branches["*"] ?? [];
+    return Array.isArray(patterns) ? patterns : [patterns];
+}
+
+function getDefaultTarget(env) {
+    return {
+        chat_id: env.COS_TELEGRAM_CHAT_ID,
+        thread_id: env.COS_TELEGRAM_MESSAGE_THREAD_ID,
+    };
+}
+
+/**
+ * Resolves the Telegram chat/thread targets for an event using the routing
+ * rules. Rules are evaluated in order; the first matching rule wins unless it
+ * sets `continue: true`. Falls back to the default target if nothing matches.
+ * @returns {Promise<Array<{chat_id: string, thread_id?: string}>>}
+ */
+async function resolveTargets(eventType, payload, env) {
+    const rules = await loadJsonConfig(env, "COS_ROUTING_RULES", "routing");
+    if (!Array.isArray(rules) || rules.length === 0) {
+        return [getDefaultTarget(env)];
+    }
+
+    const fields = {
+        repository: payload.repository?.full_name,
+        event: eventType,
+        action: payload.action,
+        branch: getEventBranches(eventType, payload),
+        label: getEventLabels(payload),
+    };
+
+    let matched = false;
+    const targets = [];
+    for (const rule of rules) {
+        const ruleMatches = Object.keys(fields).every(
+            (field) =>
+                rule[field] === undefined ||
+                matchesGlob(fields[field], rule[field])
+        );
+        if (!ruleMatches) continue;
+        matched = true;
+        for (const target of rule.targets || []) {
+            const isDuplicate = targets.some(
+                (existing) =>
+                    String(existing.chat_id) === String(target.chat_id) &&
+                    String(existing.thread_id) === String(target.thread_id)
+            );
+            if (!isDuplicate) targets.push(target);
+        }
+        if (!rule.continue) break;
+    }
+    return matched ? targets : [getDefaultTarget(env)];
+}
+
+/**
+ * Parses COS_TIMELESS_GITHUB_SECRETS (or a tenant's `secret`): a single
+ * secret, or a JSON list of secrets and `{secret, name, expires_at}` objects
+ * so a new secret can be added before the old one is retired.
+ * @returns {Array<{secret: string, name: string, expires_at?: string}>}
+ */
+function parseWebhookSecrets(value) {
+    let secrets = value;
+    if (typeof value === "string" && value.trim().startsWith("[")) {
+        try {
+            secrets = JSON.parse(value);
+        } catch (error) {
+            console.error(
+                "Invalid JSON in COS_TIMELESS_GITHUB_SECRETS:",
+                error
+            );
+            return [];
+        }
+    }
+    return []
+        .concat(secrets || [])
+        .map((entry, index) => {
+            const secret =
+                entry && typeof entry === "object" ? entry : { secret: entry };
+            return { ...secret, name: secret.name || `#${index + 1}` };
+        })
+        .filter((secret) => secret.secret);
+}
+
+/**
+ * Returns the webhook secrets that have not expired yet.
+ */
+function getActiveWebhookSecrets(env, now = Date.now()) {
+    return parseWebhookSecrets(env.COS_TIMELESS_GITHUB_SECRETS).filter(
+        (secret) => {
+            if (!secret.expires_at || Date.parse(secret.expires_at) > now) {
+                return true;
+            }
+            console.warn(
+                `Webhook secret "${secret.name}" expired at ${secret.expires_at}; ignoring it.`
+            );
+            return false;
+        }
+    );
+}
+
+/**
+ * Finds the secret a delivery was signed with, checking the SHA-256
+ * signature and then, if given, the legacy SHA-1 one.
+ * @returns {Promise<{name: string, legacy: boolean}|null>}
+ */
+async function findMatchingSecret(secrets, body, signature, legacySignature) {
+    for (const { secret, name } of secrets) {
+        if (await verifyGitHubSignature(secret, body, signature)) {
+            return { name, legacy: false };
+        }
+    }
+    if (!legacySignature) return null;
+    for (const { secret, name } of secrets) {
+        if (
+            await verifyGitHubSignature(secret, body, legacySignature, {
+                allowSha1: true,
+            })
+        ) {
+            return { name, legacy: true };
+        }
+    }
+    return null;
+}
+
+/**
+ * Verifies a `sha256=<hex>` webhook signature, or with `allowSha1` also a
+ * legacy `sha1=<hex>` one (X-Hub-Signature). The body is the raw request
+ * body as bytes, or a string that is signed as UTF-8.
+ */
+async function verifyGitHubSignature(
+    secret,
+    body,
+    signatureHeader,
+    { allowSha1 = false } = {}
+) {
+    const [algorithm, signature] = (signatureHeader || "").split("=", 2);
+    const hash = SIGNATURE_HASHES[algorithm];
+    if (!hash || !signature || (algorithm === "sha1" && !allowSha1)) {
+        return false;
+    }
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        "raw",
+        encoder.encode(secret),
+        { name: "HMAC", hash },
+        false,
+        ["sign"]
+    );
+    const data = typeof body === "string" ? encoder.encode(body) : body;
+    const mac = await crypto.subtle.sign("HMAC", key, data);
+    const calculatedSignature = Array.from(new Uint8Array(mac))
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("");
+    return await timingSafeEqual(signature, calculatedSignature);
+}
+
+async function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let result = 0;
+    const encoder = new TextEncoder();
+    const encodedA = encoder.encode(a);
+    const encodedB = encoder.encode(b);
+    for (let i = 0; i < encodedA.length; i++)
+        result |= encodedA[i] ^ encodedB[i];
+    return result === 0;
+}
+
+function escapeMarkdownV2(text) {
+    if (!text) return "";
+    // Escape characters: \ _ * [ ] ( ) ~ ` > # + - = | { } . !
+    return text.replace(/([\\_*\[\]()~`>#+\-=|{}.!])/g, "\\$1");
+}
+
+/**
+ * Escapes a URL for use inside the `(...)` part of a MarkdownV2 link, where
+ * only `)` and `\` must be escaped.
+ */
+function escapeMarkdownV2Url(url) {
+    if (!url) return "";
+    return String(url).replace(/([)\\])/g, "\\$1");
+}
+
+function formatDuration(startStr, endStr) {
+    if (!startStr || !endStr) return "";
+    try {
+        const start = new Date(startStr);
+        const end = new Date(endStr);
+        const durationMs = end - start;
+        if (durationMs < 0) return "";
+
+        return `\\(took ${escapeMarkdownV2(formatElapsed(durationMs))}\\)`;
+    } catch (e) {
+        console.error("Error parsing duration:", e);
+        return "";
+    }
+}
+
+/**
+ * Formats a duration in milliseconds as e.g. "1h 2m 5s" (unescaped).
+ */
+function formatElapsed(durationMs) {
+    const seconds = Math.floor(durationMs / 1000) % 60;
+    const minutes = Math.floor(durationMs / (1000 * 60)) % 60;
+    const hours = Math.floor(durationMs / (1000 * 60 * 60));
+
+    let durationStr = "";
+    if (hours > 0) durationStr += `${hours}h `;
+    if (minutes > 0) durationStr += `${minutes}m `;
+    durationStr += `${seconds}s`;
+    return durationStr.trim();
+}
+
+/**
+ * Escapes a body preview, truncating the raw text before escaping so an
+ * escape sequence is never cut in half.
+ */
+function escapePreview(text, maxLength) {
+    if (!text) return "";
+    const chars = Array.from(text); // Avoid splitting surrogate pairs
+    if (chars.length <= maxLength) return escapeMarkdownV2(text);
+    return (
+        escapeMarkdownV2(chars.slice(0, maxLength).join("").trimEnd()) +
+        "\\.\\.\\."
+    );
+}
+
+/**
+ * Returns the configured preview length for an event (COS_PREVIEW_LENGTHS),
+ * falling back to its `default` entry and then to the given length.
+ */
+function getPreviewLength(options, eventType, fallback) {
+    const lengths = options.previewLengths || {};
+    const length = lengths[eventType] ?? lengths.default;
+    return Number.isInteger(length) && length > 0 ? length : fallback;
+}
+
+function getPushMaxCommits(env) {
+    const maxCommits = parseInt(env.COS_PUSH_MAX_COMMITS, 10);
+    return Number.isFinite(maxCommits) && maxCommits > 0
+        ? maxCommits
+        : MAX_PUSH_COMMITS;
+}
+
+// --- Scheduled tasks ---
+
+/**
+ * Runs the tasks due for a Cron Trigger, for the worker and each tenant with
+ * its own digest and reports settings (see runScheduledTasksFor()).
+ * @param {string} cron The cron expression that fired.
+ */
+async function runScheduledTasks(cron, env) {
+    for (const taskEnv of await listTenantEnvs(env)) {
+        await runScheduledTasksFor(cron, taskEnv);
+    }
+}
+
+/**
+ * Runs the tasks of the worker or one tenant due for a Cron Trigger: the
+ * activity reports configured for this `cron`, and the digest, which is
+ * flushed on every trigger unless COS_DIGEST names the `cron` it should be
+ * flushed on.
+ */
+async function runScheduledTasksFor(cron, env) {
+    const digest = await loadJsonConfig(env, "COS_DIGEST", "digest");
+    if (digest && (!digest.cron || digest.cron === cron)) {
+        try {
+            await flushDigest(env);
+        } catch (error) {
+            console.error("Failed to flush digest:", error);
+        }
+    }
+
+    const reports = await loadJsonConfig(env, "COS_REPORTS", "reports");
+    if (!Array.isArray(reports) || !env.COS_BRIDGE_KV) return;
+    for (const report of reports.filter((entry) => entry.cron === cron)) {
+        try {
+            await sendReport(report, env);
+        } catch (error) {
+            console.error(`Failed to send ${report.period} report:`, error);
+        }
+    }
+}
+
+// --- Activity reports ---
+
+/**
+ * Stores the parts of an event that activity reports (COS_REPORTS) aggregate.
+ * Only PRs, issues, releases, completed workflow runs and pushes are kept.
+ */
+async function recordReportEvent(eventType, payload, env) {
+    if (!env.COS_BRIDGE_KV) return;
+    const reports = await loadJsonConfig(env, "COS_REPORTS", "reports");
+    if (!Array.isArray(reports) || reports.length === 0) return;
+
+    const action = payload.action;
+    const entry = {
+        event: eventType,
+        action,
+        repository: payload.repository?.full_name,
+        repository_url: payload.repository?.html_url,
+        sender: payload.sender?.login,
+        tenant: env.COS_TENANT_ID,
+    };
+    switch (eventType) {
+        case "pull_request":
+            if (action !== "opened" && action !== "closed") return;
+            entry.merged = Boolean(payload.pull_request?.merged);
+            break;
+        case "issues":
+            if (action !== "opened" && action !== "closed") return;
+            break;
+        case "release":
+            if (action !== "published") return;
+            break;
+        case "workflow_run": {
+            const run = payload.workflow_run;
+            if (action !== "completed") return;
+            entry.conclusion = run?.conclusion;
+            const durationMs =
+                new Date(run?.updated_at) - new Date(run?.run_started_at);
+            if (durationMs >= 0) entry.duration_ms = durationMs;
+            break;
+        }
+        case "push":
+            if (!payload.commits?.length) return;
+            entry.commits = payload.commits.length;
+            break;
+        default:
+            return;
+    }
+
+    try {
+        await env.COS_BRIDGE_KV.put(
+            `report-event:${Date.now()}-${crypto.randomUUID()}`,
+            "",
+            { expirationTtl: REPORT_EVENT_TTL_SECONDS, metadata: entry }
+        );
+    } catch (error) {
+        console.error("Failed to record report event in KV:", error);
+    }
+}
+
+/**
+ * Sends a report covering the recorded events of its period, one message
+ * per repository with activity. Only the events of the worker or tenant the
+ * report belongs to are counted.
+ * @param {{period?: string, targets?: object[]}} report
+ */
+async function sendReport(report, env) {
+    const period = REPORT_PERIODS[report.period] ? report.period : "daily";
+    const since = Date.now() - REPORT_PERIODS[period];
+    const repositories = new Map();
+    let cursor;
+    do {
+        const page = await env.COS_BRIDGE_KV.list({
+            prefix: "report-event:",
+            cursor,
+        });
+        for (const key of page.keys) {
+            const timestamp = parseInt(
+                key.name.substring("report-event:".length),
+                10
+            );
+            const entry = key.metadata;
+            if (!entry || !(timestamp >= since)) continue;
+            if (entry.tenant !== env.COS_TENANT_ID) continue;
+            if (!repositories.has(entry.repository)) {
+                repositories.set(entry.repository, []);
+            }
+            repositories.get(entry.repository).push(entry);
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    const targets = report.targets || [getDefaultTarget(env)];
+    for (const entries of repositories.values()) {
+        const message = formatReport(period, entries);
+        for (const target of targets) {
+            await sendTelegramMessage(message, env, target);
+        }
+    }
+    console.log(`Sent ${period} report for ${repositories.size} repositories.`);
+}
+
+/**
+ * Formats the recorded events of one repository as a report.
+ */
+function formatReport(period, entries) {
+    const { repository, repository_url } = entries[0];
+    const repoName = escapeMarkdownV2(repository || "unknown repo");
+    const repoLink = repository_url
+        ? `[${repoName}](${escapeMarkdownV2Url(repository_url)})`
+        : repoName;
+    const count = (event, predicate) =>
+        entries.filter((entry) => entry.event === event && predicate(entry))
+            .length;
+    const lines = [
+        `📈 *${period === "weekly" ? "Weekly" : "Daily"} report* for ${repoLink}`,
+    ];
+
+    if (count("pull_request", () => true) > 0) {
+        const opened = count("pull_request", (pr) => pr.action === "opened");
+        const merged = count(
+            "pull_request",
+            (pr) => pr.action === "closed" && pr.merged
+        );
+        const closed = count(
+            "pull_request",
+            (pr) => pr.action === "closed" && !pr.merged
+        );
+        lines.push(
+            `🔀 Pull requests: ${opened} opened, ${merged} merged, ${closed} closed`
+        );
+    }
+    if (count("issues", () => true) > 0) {
+        const opened = count("issues", (issue) => issue.action === "opened");
+        const closed = count("issues", (issue) => issue.action === "closed");
+        lines.push(`🐛 Issues: ${opened} opened, ${closed} closed`);
+    }
+    const releases = count("release", () => true);
+    if (releases > 0) lines.push(`📦 Releases: ${releases}`);
+
+    const runs = entries.filter(
+        (entry) =>
+            entry.event === "workflow_run" &&
+            ["success", "failure", "timed_out", "startup_failure"].includes(
+                entry.conclusion
+            )
+    );
+    if (runs.length > 0) {
+        const passed = runs.filter((run) => run.conclusion === "success");
+        const passRate = Math.round((passed.length / runs.length) * 100);
+        const durations = runs
+            .map((run) => run.duration_ms)
+            .filter((duration) => duration >= 0);
+        const meanDuration = durations.length
+            ? `, mean duration ${escapeMarkdownV2(
+                  formatElapsed(
+                      durations.reduce((sum, duration) => sum + duration, 0) /
+                          durations.length
+                  )
+              )}`
+            : "";
+        lines.push(
+            `⚙️ CI: ${passRate}% pass rate \\(${passed.length}/${runs.length} runs\\)${meanDuration}`
+        );
+    }
+
+    const contributions = new Map();
+    for (const entry of entries) {
+        if (!entry.sender || entry.event === "workflow_run") continue;
+        contributions.set(
+            entry.sender,
+            (contributions.get(entry.sender) || 0) + (entry.commits || 1)
+        );
+    }
+    const topContributors = [...contributions]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, REPORT_TOP_CONTRIBUTORS)
+        .map(([login, total]) => `${escapeMarkdownV2(login)} \\(${total}\\)`);
+    if (topContributors.length > 0) {
+        lines.push(`🏆 Top contributors: ${topContributors.join(", ")}`);
+    }
+    return lines.join("\n");
+}
+
+// --- Digest mode ---
+
+/**
+ * Returns true if the event belongs in the digest (COS_DIGEST) rather than
+ * being sent on its own.
+ */
+function isDigestEvent(digest, eventType, payload) {
+    const rules = digest.events || DEFAULT_DIGEST_EVENTS;
+    return rules.some((rule) =>
+        eventRuleMatches(rule, eventType, payload.action)
+    );
+}
+
+/**
+ * Returns true for events that are sent immediately even in digest mode:
+ * failed CI runs, jobs, checks and statuses, and security alerts.
+ */
+function isUrgentEvent(eventType, payload) {
+    if (URGENT_EVENTS.includes(eventType)) return true;
+    if (eventType === "status") {
+        return ["failure", "error"].includes(payload.state);
+    }
+    return URGENT_CONCLUSIONS.includes(payload[eventType]?.conclusion);
+}
+
+/**
+ * Queues a digest event for each target. Only completed workflow jobs are
+ * counted; their queued and in-progress updates are dropped.
+ * @returns {Promise<boolean>} True if the event was queued instead of being
+ *     sent, false if it should be delivered now.
+ */
+async function queueDigestEvent(eventType, payload, targets, env) {
+    const digest = await loadJsonConfig(env, "COS_DIGEST", "digest");
+    if (!digest || !env.COS_BRIDGE_KV) return false;
+    if (!isDigestEvent(digest, eventType, payload)) return false;
+
+    const conclusion = payload[eventType]?.conclusion;
+    if (eventType !== "workflow_job" || conclusion) {
+        try {
+            await Promise.all(
+                targets.map((target) =>
+                    env.COS_BRIDGE_KV.put(
+                        `digest:${Date.now()}-${crypto.randomUUID()}`,
+                        "",
+                        {
+                            expirationTtl: DIGEST_ENTRY_TTL_SECONDS,
+                            metadata: {
+                                event: eventType,
+                                action: payload.action,
+                                conclusion,
+                                repository: payload.repository?.full_name,
+                                repository_url: payload.repository?.html_url,
+                                chat_id: target.chat_id,
+                                thread_id: target.thread_id,
+                                tenant: env.COS_TENANT_ID,
+                            },
+                        }
+                    )
+                )
+            );
+        } catch (error) {
+            console.error("Failed to queue digest event in KV:", error);
+            return false;
+        }
+    }
+    return !isUrgentEvent(eventType, payload);
+}
+
+/**
+ * Sends one summary per target and repository for the queued digest events
+ * of the worker or tenant and removes them from the queue. Events of removed
+ * tenants are never sent and expire with the queue.
+ * @returns {Promise<number>} The number of summaries sent.
+ */
+async function flushDigest(env) {
+    if (!env.COS_BRIDGE_KV) return 0;
+    const groups = new Map();
+    let cursor;
+    do {
+        const page = await env.COS_BRIDGE_KV.list({
+            prefix: "digest:",
+            cursor,
+        });
+        for (const key of page.keys) {
+            const entry = key.metadata;
+            if (!entry || entry.tenant !== env.COS_TENANT_ID) continue;
+            const groupKey = JSON.stringify([
+                entry.chat_id,
+                entry.thread_id,
+                entry.repository,
+            ]);
+            if (!groups.has(groupKey)) groups.set(groupKey, []);
+            groups.get(groupKey).push({ key: key.name, ...entry });
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    for (const entries of groups.values()) {
+        const [{ chat_id, thread_id }] = entries;
+        await sendTelegramMessage(formatDigest(entries), env, {
+            chat_id,
+            thread_id,
+        });
+        await Promise.all(
+            entries.map((entry) => env.COS_BRIDGE_KV.delete(entry.key))
+        );
+    }
+    console.log(`Digest flushed: ${groups.size} summary message(s) sent.`);
+    return groups.size;
+}
+
+/**
+ * Formats the queued events of one repository, e.g.
+ * "+5 ⭐, 2 forks, 14 CI jobs (12 ✅ 2 ❌)".
+ */
+function formatDigest(entries) {
+    const { repository, repository_url } = entries[0];
+    const repoName = escapeMarkdownV2(repository || "unknown repo");
+    const repoLink = repository_url
+        ? `[${repoName}](${escapeMarkdownV2Url(repository_url)})`
+        : repoName;
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+    const count = (event, action) =>
+        entries.filter(
+            (entry) =>
+                entry.event === event && (!action || entry.action === action)
+        ).length;
+
+    const parts = [];
+    const stars = count("star", "created") - count("star", "deleted");
+    if (stars !== 0)
+        parts.push(`${stars > 0 ? "\\+" : "\\-"}${Math.abs(stars)} ⭐`);
+    if (count("watch") > 0) parts.push(`\\+${count("watch")} 👀`);
+    if (count("fork") > 0) parts.push(plural(count("fork"), "fork"));
+    if (count("label") > 0) parts.push(plural(count("label"), "label change"));
+
+    const jobs = entries.filter((entry) => entry.event === "workflow_job");
+    if (jobs.length > 0) {
+        const icons = new Map();
+        for (const job of jobs) {
+            const icon = getStatusIcon("completed", job.conclusion);
+            icons.set(icon, (icons.get(icon) || 0) + 1);
+        }
+        // Queued entries have no reliable order, so sort for stable output.
+        const breakdown = [...icons]
+            .sort(([a], [b]) => (a < b ? -1 : 1))
+            .map(([icon, iconCount]) => `${iconCount} ${icon}`)
+            .join(" ");
+        parts.push(`${plural(jobs.length, "CI job")} \\(${breakdown}\\)`);
+    }
+
+    const known = ["star", "watch", "fork", "label", "workflow_job"];
+    const others = new Map();
+    for (const entry of entries) {
+        if (known.includes(entry.event)) continue;
+        others.set(entry.event, (others.get(entry.event) || 0) + 1);
+    }
+    for (const [event, eventCount] of others) {
+        parts.push(plural(eventCount, `\`${escapeMarkdownV2(event)}\` event`));
+    }
+
+    return `📊 Digest for ${repoLink}: ${
+        parts.length > 0 ? parts.join(", ") : "no changes"
+    }`;
+}
+
+// --- Security alerts ---
+
+/**
+ * Returns the severity (low, medium, high or critical) of a security alert
+ * event, or null for other events and alerts without one. Secret scanning
+ * alerts carry no severity and always count as high.
+ */
+function getAlertSeverity(eventType, payload) {
+    const alert = payload.alert;
+    let severity;
+    switch (eventType) {
+        case "dependabot_alert":
+            severity =
+                alert?.security_advisory?.severity ||
+                alert?.security_vulnerability?.severity;
+            break;
+        case "code_scanning_alert":
+            severity =
+                alert?.rule?.security_severity_level ||
+                CODE_SCANNING_RULE_SEVERITIES[alert?.rule?.severity];
+            break;
+        case "repository_vulnerability_alert":
+            severity = alert?.severity;
+            break;
+        case "security_advisory":
+            severity = payload.security_advisory?.severity;
+            break;
+        case "secret_scanning_alert":
+        case "secret_scanning_alert_location":
+            return "high";
+        default:
+            return null;
+    }
+    severity = String(severity || "").toLowerCase();
+    if (severity === "moderate") severity = "medium";
+    return SEVERITY_LEVELS.includes(severity) ? severity : null;
+}
+
+/**
+ * Whether a severity reaches a threshold. Alerts without a severity and
+ * unknown thresholds always pass.
+ */
+function meetsSeverity(severity, threshold) {
+    const minimum = SEVERITY_LEVELS.indexOf(String(threshold).toLowerCase());
+    if (!severity || minimum === -1) return true;
+    return SEVERITY_LEVELS.indexOf(severity) >= minimum;
+}
+
+/**
+ * Drops the targets whose `min_severity` (or COS_SECURITY_ALERTS'
+ * `min_severity`) the event's alert severity does not reach.
+ */
+function applySeverityThresholds(eventType, payload, targets, settings) {
+    const severity = getAlertSeverity(eventType, payload);
+    if (!severity) return targets;
+    return targets.filter((target) => {
+        const threshold = target.min_severity ?? settings.min_severity;
+        if (meetsSeverity(severity, threshold)) return true;
+        console.log(
+            `Skipping target ${target.chat_id}: ${severity} ${eventType} is below min_severity "${threshold}".`
+        );
+        return false;
+    });
+}
+
+/**
+ * Returns the severity of a new (or returning) alert that is at least
+ * COS_SECURITY_ALERTS' `loud_severity` (default "high"), or null.
+ */
+function getLoudAlertSeverity(eventType, payload, settings) {
+    const severity = getAlertSeverity(eventType, payload);
+    if (!severity || !LOUD_ALERT_ACTIONS.includes(payload.action)) return null;
+    return meetsSeverity(severity, settings.loud_severity || "high")
+        ? severity
+        : null;
+}
+
+/**
+ * Adds a severity banner and the on-call mention(s) of the target (or of
+ * COS_SECURITY_ALERTS) to the message of a loud alert.
+ */
+function formatLoudAlert(message, severity, mention) {
+    const mentions = [].concat(mention || []);
+    let text = `🚨 *${severity.toUpperCase()} SECURITY ALERT*\n${message}`;
+    if (mentions.length > 0) {
+        text += `\n\n${mentions.map(escapeMarkdownV2).join(" ")}`;
+    }
+    return text;
+}
+
+/**
+ * Formats the advisory details of an alert as bullet lines, each omitted
+ * when the payload does not have it.
+ * @returns {string} The lines, each prefixed with a newline.
+ */
+function formatAdvisoryDetails({
+    ghsaId,
+    cveId,
+    vulnerableRange,
+    patchedVersion,
+    cvssScore,
+    manifestPath,
+    location,
+}) {
+    const lines = [];
+    const ids = [];
+    if (ghsaId) {
+        ids.push(
+            `[${escapeMarkdownV2(ghsaId)}](${escapeMarkdownV2Url(
+                `https://github.com/advisories/${ghsaId}`
+            )})`
+        );
+    }
+    if (cveId) ids.push(escapeMarkdownV2(cveId));
+    if (ids.length > 0) lines.push(`Advisory: ${ids.join(", ")}`);
+    if (vulnerableRange) {
+        lines.push(`Vulnerable: \`${escapeMarkdownV2(vulnerableRange)}\``);
+    }
+    if (vulnerableRange || patchedVersion) {
+        lines.push(
+            `Patched: ${
+                patchedVersion
+                    ? `\`${escapeMarkdownV2(patchedVersion)}\``
+                    : "no patched version yet"
+            }`
+        );
+    }
+    if (cvssScore) lines.push(`CVSS: ${escapeMarkdownV2(String(cvssScore))}`);
+    if (manifestPath) {
+        lines.push(`Manifest: \`${escapeMarkdownV2(manifestPath)}\``);
+    }
+    if (location) lines.push(`Location: \`${escapeMarkdownV2(location)}\``);
+    return lines.map((line) => `\n• ${line}`).join("");
+}
+
+// --- Formatters ---
+
+// Registered formatters by GitHub event type; see registerFormatter().
+const formatters = new Map();
+
+/**
+ * Registers the formatter for one or more GitHub event types, replacing any
+ * formatter registered for them before. A formatter receives the context
+ * built by formatMessage() and returns the MarkdownV2 message, or an empty
+ * string to send nothing.
+ * @param {string|string[]} eventTypes The GitHub event type(s).
+ * @param {(context: object) => string} formatter The formatter.
+ */
+function registerFormatter(eventTypes, formatter) {
+    for (const eventType of [].concat(eventTypes)) {
+        formatters.set(eventType, formatter);
+    }
+}
+
+/**
+ * Formats the message based on the GitHub event type and payload. A user
+ * template configured for the event (COS_MESSAGE_TEMPLATES) takes precedence
+ * over the registered formatter. Mapped users the event concerns are pinged
+ * on an extra line (see addTelegramMentions()).
+ * @param {string} eventType The GitHub event type.
+ * @param {object} payload The parsed JSON payload from GitHub.
+ * @param {object} env Environment variables.
+ * @param {object} [options] Loaded configuration, e.g. `previewLengths`,
+ *     `templates` and `users`.
+ * @returns {string} The formatted message string (MarkdownV2), or empty string.
+ */
+function formatMessage(eventType, payload, env, options = {}) {
+    const template = findTemplate(options.templates, eventType, payload.action);
+    if (template !== null) {
+        return addTelegramMentions(
+            renderTemplate(template, eventType, payload).trim(),
+            eventType,
+            payload,
+            options.users
+        );
+    }
+
+    const formatter = formatters.get(eventType);
+    if (!formatter) {
+        console.log(`-> Unsupported GitHub event type received: ${eventType}`);
+        return "";
+    }
+
+    const repo = payload.repository;
+    const sender = payload.sender;
+
+    const senderName = escapeMarkdownV2(sender?.login || "unknown_user");
+    const senderUrl = sender?.html_url;
+    const userLink = senderUrl
+        ? `[${senderName}](${escapeMarkdownV2Url(senderUrl)})`
+        : senderName;
+
+    const repoName = escapeMarkdownV2(repo?.full_name || "");
+    const repoUrl = repo?.html_url;
+
+    const repoLink = repoName
+        ? repoUrl
+            ? `[${repoName}](${escapeMarkdownV2Url(repoUrl)})`
+            : repoName
+        : "";
+
+    const repoContext = repoLink ? `in ${repoLink}` : "";
+
+    const message = formatter({
+        eventType,
+        action: payload.action,
+        payload,
+        env,
+        options,
+        sender,
+        repo,
+        repoUrl,
+        userLink,
+        repoLink,
+        repoContext,
+    });
+    return addTelegramMentions(
+        (message || "").trim(),
+        eventType,
+        payload,
+        options.users
+    );
+}
+
+function getStatusIcon(status, conclusion) {
+    if (status === "completed") {
+        switch (conclusion) {
+            case "success":
+                return "✅";
+            case "failure":
+                return "❌";
+            case "cancelled":
+                return "🚫";
+            case "skipped":
+                return "⏭️";
+            default:
+                return "🏁";
+        }
+    }
+    if (status === "queued") return "⏳";
+    if (status === "waiting") return "⏳";
+    if (status === "in_progress") return "⚙️";
+    if (status === "requested") return "🙋";
+    return "ℹ️";
+}
+
+// --- Telegram mentions ---
+
+/**
+ * Returns the GitHub users an event concerns personally, and why: the
+ * requested reviewer (`review_requested`), the new assignee (`assigned`),
+ * users @mentioned in a new comment or review (`mentioned`), the author of
+ * an approved pull request (`approved`), and for a failed CI run of a pull
+ * request the actor who triggered it (`ci_failed`, see
+ * resolvePullRequestAuthors()). Nobody is concerned by their own action,
+ * except for CI runs they triggered themselves.
+ * @returns {Array<{login: string, trigger: string}>}
+ */
+function getConcernedUsers(eventType, payload) {
+    const users = [];
+    const add = (login, trigger) => login && users.push({ login, trigger });
+    const { action } = payload;
+    if (action === "review_requested") {
+        add(payload.requested_reviewer?.login, "review_requested");
+    }
+    if (
+        action === "assigned" &&
+        (eventType === "issues" || eventType === "pull_request")
+    ) {
+        add(payload.assignee?.login, "assigned");
+    }
+    if (
+        MENTION_BODY_EVENTS.includes(eventType) &&
+        (action === "created" || action === "submitted")
+    ) {
+        const body = (payload.comment || payload.review)?.body || "";
+        // Mentions inside code are not mentions on GitHub either.
+        const text = body.replace(/```[\s\S]*?```|`[^`\n]*`/g, "");
+        for (const match of text.matchAll(GITHUB_MENTION_PATTERN)) {
+            add(match[1], "mentioned");
+        }
+    }
+    if (
+        eventType === "pull_request_review" &&
+        action === "submitted" &&
+        payload.review?.state?.toLowerCase() === "approved"
+    ) {
+        add(payload.pull_request?.user?.login, "approved");
+    }
+    const run = payload.workflow_run;
+    if (
+        eventType === "workflow_run" &&
+        action === "completed" &&
+        URGENT_CONCLUSIONS.includes(run?.conclusion) &&
+        run.pull_requests?.length > 0
+    ) {
+        // The PR author is not in the payload; the actor stands in until
+        // resolvePullRequestAuthors() looks them up.
+        add(run.actor?.login, "ci_failed");
+    }
+
+    const sender = payload.sender?.login?.toLowerCase();
+    const seen = new Set();
+    return users.filter(({ login, trigger }) => {
+        const key = `${login.toLowerCase()}:${trigger}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return trigger === "ci_failed" || login.toLowerCase() !== sender;
+    });
+}
+
+/**
+ * Normalizes a COS_USER_MAP entry: a Telegram user ID, an "@username", or
+ * an object with `id`, `username` and an optional display `name`.
+ * @returns {{id?: number|string, username?: string, name?: string}}
+ */
+function parseUserMapEntry(entry) {
+    if (typeof entry === "object" && entry !== null) return entry;
+    return String(entry).startsWith("@") ? { username: entry } : { id: entry };
+}
+
+/**
+ * Returns the GitHub login COS_USER_MAP maps to a Telegram user, or null.
+ */
+function findGitHubLogin(users, telegramUser) {
+    if (!users || typeof users !== "object" || !telegramUser) return null;
+    const username = telegramUser.username?.toLowerCase();
+    for (const [login, entry] of Object.entries(users)) {
+        const user = parseUserMapEntry(entry);
+        if (
+            user.id !== undefined &&
+            String(user.id) === String(telegramUser.id)
+        ) {
+            return login;
+        }
+        const mappedUsername = String(user.username || "")
+            .replace(/^@/, "")
+            .toLowerCase();
+        if (username && mappedUsername === username) return login;
+    }
+    return null;
+}
+
+/**
+ * Formats a Telegram mention for a COS_USER_MAP entry: a `tg://user?id=`
+ * link for a user ID (labelled with the `name` or GitHub login), or the
+ * "@username".
+ * @returns {string|null} The MarkdownV2 mention, or null for invalid entries.
+ */
+function formatTelegramMention(login, entry) {
+    const user = parseUserMapEntry(entry);
+    if (/^\d+$/.test(String(user.id ?? ""))) {
+        return `[${escapeMarkdownV2(
+            user.name || login
+        )}](tg://user?id=${user.id})`;
+    }
+    if (user.username) {
+        return escapeMarkdownV2(`@${String(user.username).replace(/^@/, "")}`);
+    }
+    return null;
+}
+
+/**
+ * Appends a line pinging the Telegram users mapped (COS_USER_MAP, GitHub
+ * login -> Telegram user) to the requested reviewer, the assignee or the
+ * users mentioned by an event.
+ */
+function addTelegramMentions(message, eventType, payload, users) {
+    if (!message || !users || typeof users !== "object") return message;
+    const userMap = new Map(
+        Object.entries(users).map(([login, entry]) => [
+            login.toLowerCase(),
+            entry,
+        ])
+    );
+    const logins = getConcernedUsers(eventType, payload)
+        .filter(({ trigger }) => MENTION_TRIGGERS.includes(trigger))
+        .map(({ login }) => login);
+    const mentions = [...new Set(logins)]
+        .filter((login) => userMap.has(login.toLowerCase()))
+        .map((login) =>
+            formatTelegramMention(login, userMap.get(login.toLowerCase()))
+        )
+        .filter(Boolean);
+    return mentions.length > 0
+        ? `${message}\n🔔 ${mentions.join(" ")}`
+        : message;
+}
+
+// --- Message templates ---
+
+// Shorthand template placeholders; other placeholders are payload paths.
+const TEMPLATE_SHORTHANDS = {
+    sender: (payload) => payload.sender?.login,
+    repo: (payload) => payload.repository?.full_name,
+};
+const TEMPLATE_PATH_ALIASES = { pr: "pull_request", repo: "repository" };
+
+/**
+ * Returns the user template for an event (COS_MESSAGE_TEMPLATES), looked up
+ * by `event:action` and then by `event`.
+ * @returns {string|null} The template, or null if none is configured.
+ */
+function findTemplate(templates, eventType, action) {
+    if (!templates || typeof templates !== "object") return null;
+    for (const key of [`${eventType}:${action}`, eventType]) {
+        if (typeof templates[key] === "string") return templates[key];
+    }
+    return null;
+}
+
+/**
+ * Renders a plain-text template as MarkdownV2. `{event}`, `{sender}` and
+ * `{repo}` expand to the event type, sender login and repository name; any
+ * other `{path}` is looked up in the payload, with `pr.` and `repo.` as
+ * aliases for `pull_request.` and `repository.`. The template text and the
+ * values are escaped, and placeholders that do not resolve to a string,
+ * number or boolean render as empty.
+ */
+function renderTemplate(template, eventType, payload) {
+    const parts = template.split(/\{([\w.]+)\}/);
+    return parts
+        .map((part, index) => {
+            if (index % 2 === 0) return escapeMarkdownV2(part);
+            const value = getTemplateValue(part, eventType, payload);
+            return ["string", "number", "boolean"].includes(typeof value)
+                ? escapeMarkdownV2(String(value))
+                : "";
+        })
+        .join("");
+}
+
+function getTemplateValue(path, eventType, payload) {
+    if (path === "event") return eventType;
+    if (TEMPLATE_SHORTHANDS[path]) return TEMPLATE_SHORTHANDS[path](payload);
+    const [root, ...rest] = path.split(".");
+    return rest.reduce(
+        (value, key) => value?.[key],
+        payload[TEMPLATE_PATH_ALIASES[root] || root]
+    );
+}
+
+// --- Event formatters ---
+
+registerFormatter(
+    "push",
+    ({ eventType, payload, env, options, userLink, repoContext }) => {
+        let message = "";
+        const ref = payload.ref || "";
+        const isTag = ref.startsWith("refs/tags/");
+        const refType = isTag ? "tag" : "branch";
+        const refName = escapeMarkdownV2(
+            ref.replace(/^refs\/(heads|tags)\//, "") || "unknown"
+        );
+        const commits = payload.commits || [];
+        // `commits` is capped at 20 entries; `size` has the real count.
+        const commitCount = Number.isInteger(payload.size)
+            ? payload.size
+            : commits.length;
+        const compareUrl = payload.compare;
+        const compareLink = compareUrl
+            ? `\\([Compare](${escapeMarkdownV2Url(compareUrl)})\\) `
+            : "";
+
+        if (payload.deleted) {
+            return `${userLink} 🗑️ deleted ${refType} \`${refName}\` ${repoContext}`;
+        }
+        if (isTag) {
+            return `${userLink} 🏷️ pushed tag \`${refName}\` ${compareLink}${repoContext}`;
+        }
+
+        const commitsText = `${commitCount} commit${
+            commitCount === 1 ? "" : "s"
+        }`;
+        if (payload.created) {
+            message = `${userLink} 🌱 pushed new branch \`${refName}\`${
+                commitCount > 0 ? ` with ${commitsText}` : ""
+            } ${compareLink}${repoContext}`;
+        } else if (payload.forced) {
+            // A force-push may rewind the branch without any new commits.
+            message = `${userLink} ⚠️ force\\-pushed ${
+                commitCount > 0 ? `${commitsText} to ` : ""
+            }branch \`${refName}\` ${compareLink}${repoContext}`;
+        } else if (commitCount === 0) {
+            message = `${userLink} ⬆️ pushed to branch \`${refName}\` with no new commits ${compareLink}${repoContext}`;
+        } else {
+            message = `${userLink} ⬆️ pushed ${commitsText} to branch \`${refName}\` ${compareLink}${repoContext}`;
+        }
+
+        const listed = commits.slice(-getPushMaxCommits(env));
+        for (const commit of listed) {
+            const shortSha = escapeMarkdownV2(
+                commit.id?.substring(0, 7) || "unknown"
+            );
+            const shaLink = commit.url
+                ? `[\`${shortSha}\`](${escapeMarkdownV2Url(commit.url)})`
+                : `\`${shortSha}\``;
+            const author = escapeMarkdownV2(
+                commit.author?.username || commit.author?.name || "?"
+            );
+            const firstLine = (commit.message || "").split("\n")[0];
+            const title = escapePreview(
+                firstLine,
+                getPreviewLength(options, eventType, 100)
+            );
+            message += `\n• ${shaLink} ${title} — ${author}`;
+        }
+        if (commitCount > listed.length) {
+            const remaining = commitCount - listed.length;
+            message += `\n• \\.\\.\\.and ${remaining} earlier commit${
+                remaining === 1 ? "" : "s"
+            }`;
+        }
+        return message;
+    }
+);
+
+registerFormatter("create", ({ payload, userLink, repoContext }) => {
+    const refType = escapeMarkdownV2(payload.ref_type || "item");
+    const refName = escapeMarkdownV2(payload.ref || "unknown");
+    return `${userLink} 🌱 created ${refType} \`${refName}\` ${repoContext}`;
+});
+
+registerFormatter("delete", ({ payload, userLink, repoLink }) => {
+    const refType = escapeMarkdownV2(payload.ref_type || "item");
+    const refName = escapeMarkdownV2(payload.ref || "unknown");
+    return `${userLink} 🗑️ deleted ${refType} \`${refName}\` from ${repoLink}`;
+});
+
+registerFormatter("repository", ({ action, payload, userLink }) => {
+    const repoNameLink = payload.repository?.html_url
+        ? `[${escapeMarkdownV2(payload.repository.full_name)}](${escapeMarkdownV2Url(
+              payload.repository.html_url
+          )})`
+        : escapeMarkdownV2(payload.repository?.full_name || "repository");
+    let verb = escapeMarkdownV2(action);
+    switch (action) {
+        case "created":
+            verb = `✨ created repository ${repoNameLink}`;
+            break;
+        case "deleted":
+            verb = `🗑️ deleted repository \`${escapeMarkdownV2(
+                payload.repository.full_name
+            )}\``;
+            break;
+        case "archived":
+            verb = `📦 archived repository ${repoNameLink}`;
+            break;
+        case "unarchived":
+            verb = `🔓 unarchived repository ${repoNameLink}`;
+            break;
+        case "publicized":
+            verb = `🌎 made repository ${repoNameLink} public`;
+            break;
+        case "privatized":
+            verb = `🔒 made repository ${repoNameLink} private`;
+            break;
+        case "edited":
+            verb = `✏️ edited repository ${repoNameLink}`;
+            break;
+        case "renamed":
+            verb = `✏️ renamed repository from \`${escapeMarkdownV2(
+                payload.changes?.repository?.name?.from || "?"
+            )}\` to ${repoNameLink}`;
+            break;
+        case "transferred":
+            verb = `↔️ transferred repository ${repoNameLink} \\(New owner: ${escapeMarkdownV2(
+                payload.repository.owner?.login || "?"
+            )}\\)`;
+            break;
+        default:
+            verb = `performed action \`${verb}\` on repository ${repoNameLink}`;
+    }
+    return `${userLink} ${verb}`;
+});
+
+registerFormatter("workflow_job", ({ payload, repoContext }) => {
+    const job = payload.workflow_job;
+    const jobName = escapeMarkdownV2(job?.name || "job");
+    const status = job?.status;
+    const conclusion = job?.conclusion;
+    const icon = getStatusIcon(status, conclusion);
+    const runUrl = job?.run_url;
+
+    const runIdStr = String(job?.run_id || "?");
+    const runLink = runUrl
+        ? `run [${escapeMarkdownV2(runIdStr)}](${escapeMarkdownV2Url(runUrl)})`
+        : `run ${escapeMarkdownV2(runIdStr)}`;
+
+    const duration = formatDuration(job?.started_at, job?.completed_at);
+
+    return `${icon} Workflow job \`${jobName}\` ${escapeMarkdownV2(status)} ${
+        conclusion ? `\\(${escapeMarkdownV2(conclusion)}\\) ` : ""
+    }${duration} in ${runLink} ${repoContext}`;
+});
+
+registerFormatter("workflow_run", ({ payload, sender, repoContext }) => {
+    let message = "";
+    const run = payload.workflow_run;
+    const workflow = payload.workflow;
+    const runName = escapeMarkdownV2(run?.name || workflow?.name || "workflow");
+    const status = run?.status;
+    const conclusion = run?.conclusion;
+    const icon = getStatusIcon(status, conclusion);
+    const runUrl = run?.html_url;
+    const duration = formatDuration(run?.run_started_at, run?.updated_at);
+    const runNumberStr = String(run?.run_number || "?");
+
+    message = `${icon} Workflow run \`${runName}\` \\#${escapeMarkdownV2(runNumberStr)} ${escapeMarkdownV2(status)} ${
+        conclusion ? `\\(${escapeMarkdownV2(conclusion)}\\) ` : ""
+    }${duration} ${
+        runUrl ? `\\([View Run](${escapeMarkdownV2Url(runUrl)})\\) ` : ""
+    }${repoContext}`;
+    if (sender?.login !== run?.actor?.login) {
+        message += ` triggered by ${escapeMarkdownV2(
+            run?.actor?.login || "?"
+        )}`;
+    }
+    return message;
+});
+
+registerFormatter("page_build", ({ payload, repo, repoContext, repoUrl }) => {
+    const build = payload.build;
+    const status = build?.status;
+    const pageUrl = repoUrl
+        ? `${repoUrl.replace(
+              "github.com",
+              repo.owner.login + ".github.io"
+          )}/${repo.name}`
+        : "";
+    let icon = "📄";
+    let messageText = "";
+    if (status === "built") {
+        icon = "✅";
+        messageText = `GitHub Pages site built successfully ${
+            pageUrl ? `\\([View Site](${escapeMarkdownV2Url(pageUrl)})\\) ` : ""
+        }${repoContext}`;
+    } else if (status === "errored") {
+        icon = "❌";
+        messageText = `GitHub Pages site build failed ${repoContext}`;
+        if (build.error?.message) {
+            messageText += `
+> Error: ${escapeMarkdownV2(build.error.message)}`;
+        }
+    } else if (status === "building") {
+        icon = "⚙️";
+        messageText = `GitHub Pages site build started ${repoContext}`;
+    } else {
+        messageText = `GitHub Pages build status \`${escapeMarkdownV2(
+            status
+        )}\` ${repoContext}`;
+    }
+    return `${icon} ${messageText}`;
+});
+
+registerFormatter("check_suite", ({ payload, repoContext }) => {
+    const suite = payload.check_suite;
+    const appName = escapeMarkdownV2(suite?.app?.name || "Check Suite");
+    const status = suite?.status;
+    const conclusion = suite?.conclusion;
+    const icon = getStatusIcon(status, conclusion);
+    const branch = escapeMarkdownV2(suite?.head_branch || "?");
+
+    return `${icon} ${appName} status \`${escapeMarkdownV2(status)}\` ${
+        conclusion ? `\\(${escapeMarkdownV2(conclusion)}\\) ` : ""
+    }on branch \`${branch}\` ${repoContext}`;
+});
+
+registerFormatter("check_run", ({ payload, repoContext }) => {
+    const run = payload.check_run;
+    const appName = escapeMarkdownV2(run?.app?.name || "Check Run");
+    const runName = escapeMarkdownV2(run?.name || "check");
+    const status = run?.status;
+    const conclusion = run?.conclusion;
+    const icon = getStatusIcon(status, conclusion);
+    const runUrl = run?.html_url;
+    const duration = formatDuration(run?.started_at, run?.completed_at);
+
+    return `${icon} ${appName} \`${runName}\` ${escapeMarkdownV2(status)} ${
+        conclusion ? `\\(${escapeMarkdownV2(conclusion)}\\) ` : ""
+    }${duration} ${
+        runUrl ? `\\([Details](${escapeMarkdownV2Url(runUrl)})\\) ` : ""
+    }${repoContext}`;
+});
+
+registerFormatter("status", ({ payload, repoContext }) => {
+    let message = "";
+    const commitSha = escapeMarkdownV2(
+        payload.sha?.substring(0, 7) || "commit"
+    );
+    const statusState = escapeMarkdownV2(payload.state); // error, failure, pending, success
+    const context = escapeMarkdownV2(payload.context || "Status");
+    const description = escapeMarkdownV2(payload.description || "");
+    const targetUrl = payload.target_url;
+    let icon = "ℹ️";
+    if (statusState === "success") icon = "✅";
+    if (statusState === "failure" || statusState === "error") icon = "❌";
+    if (statusState === "pending") icon = "⏳";
+
+    message = `${icon} Status \`${context}\` updated to \`${statusState}\` for \`${commitSha}\` ${repoContext}`;
+    if (description)
+        message += `
+> ${description}`;
+    if (targetUrl)
+        message += ` \\([Details](${escapeMarkdownV2Url(targetUrl)})\\)`;
+    return message;
+});
+
+registerFormatter("issues", ({ action, payload, userLink, repoContext }) => {
+    const issue = payload.issue;
+    const issueNumber = issue?.number;
+    const issueTitle = escapeMarkdownV2(
+        issue?.title || `Issue \\#${issueNumber || "?"}`
+    );
+    const issueUrl = issue?.html_url;
+
+    if (!issueNumber) {
+        console.warn("Issue event missing number.");
+        return "";
+    }
+    if (!issueUrl && action !== "deleted") {
+        console.warn("Issue event missing URL.");
+        return "";
+    }
+
+    let actionText = `performed action \`${escapeMarkdownV2(action)}\` on`;
+    let subject = `issue [\\#${issueNumber} ${issueTitle}](${escapeMarkdownV2Url(
+        issueUrl || "#"
+    )})`;
+    let details = "";
+
+    switch (action) {
+        case "opened":
+            actionText = `opened`;
+            break;
+        case "closed":
+            actionText = `closed`;
+            break;
+        case "reopened":
+            actionText = `reopened`;
+            break;
+        case "edited":
+            actionText = `edited`;
+            break;
+        case "assigned":
+            actionText = `assigned`;
+            subject = `issue [\\#${issueNumber}](${escapeMarkdownV2Url(issueUrl)})`;
+            details = `to ${escapeMarkdownV2(
+                payload.assignee?.login || "someone"
+            )}`;
+            break;
+        case "unassigned":
+            actionText = `unassigned ${escapeMarkdownV2(
+                payload.assignee?.login || "someone"
+            )} from`;
+            subject = `issue [\\#${issueNumber}](${escapeMarkdownV2Url(issueUrl)})`;
+            break;
+        case "labeled":
+            actionText = `added label`;
+            subject = `\`${escapeMarkdownV2(
+                payload.label?.name || "?"
+            )}\` to issue [\\#${issueNumber}](${escapeMarkdownV2Url(issueUrl)})`;
+            break;
+        case "unlabeled":
+            actionText = `removed label`;
+            subject = `\`${escapeMarkdownV2(
+                payload.label?.name || "?"
+            )}\` from issue [\\#${issueNumber}](${escapeMarkdownV2Url(issueUrl)})`;
+            break;
+        case "locked":
+            actionText = `locked conversation on`;
+            details = payload.issue?.active_lock_reason;
+            details = payload.issue?.active_lock_reason
+                ? `\\(reason: _${escapeMarkdownV2(
+                      payload.issue.active_lock_reason
+                  )}_\\)`
+                : "";
+            break;
+        case "unlocked":
+            actionText = `unlocked conversation on`;
+            break;
+        case "deleted":
+            actionText = `deleted`;
+            subject = `issue \`\\#${issueNumber} ${issueTitle}\``; // URL is invalid
+            break;
+        case "transferred":
+            actionText = `transferred`;
+            break;
+        case "pinned":
+            actionText = `📌 pinned`;
+            break;
+        case "unpinned":
+            actionText = `📌 unpinned`;
+            break;
+        case "milestoned":
+            actionText = `added`;
+            subject = `issue [\\#${issueNumber}](${escapeMarkdownV2Url(issueUrl)}) to milestone \`${escapeMarkdownV2(
+                payload.milestone?.title || "?"
+            )}\``;
+            break;
+        case "demilestoned":
+            actionText = `removed`;
+            subject = `issue [\\#${issueNumber}](${escapeMarkdownV2Url(issueUrl)}) from milestone \`${escapeMarkdownV2(
+                payload.milestone?.title || "?"
+            )}\``;
+            break;
+        case "typed": // New Issue type field
+            actionText = `changed type of`;
+            subject = `issue [\\#${issueNumber}](${escapeMarkdownV2Url(issueUrl)})`;
+            // Payload structure for 'typed' needs confirmation - assuming 'issue.type' exists
+            details = payload.issue?.type
+                ? `to \`${escapeMarkdownV2(payload.issue.type)}\``
+                : "";
+            break;
+        case "untyped": // Hypothetical - not standard? Handle similarly if it exists.
+            actionText = `removed type from`;
+            subject = `issue [\\#${issueNumber}](${escapeMarkdownV2Url(issueUrl)})`;
+            break;
+        default:
+            actionText = `performed action \`${escapeMarkdownV2(action)}\` on`;
+    }
+    return `${userLink} ${actionText} ${subject} ${details} ${repoContext}`;
+});
+
+registerFormatter(
+    "pull_request",
+    ({ action, payload, userLink, repoContext }) => {
+        const pr = payload.pull_request;
+        const prNumber = pr?.number;
+        const prTitle = escapeMarkdownV2(
+            pr?.title || `PR \\#${prNumber || "?"}`
+        );
+        const prUrl = pr?.html_url;
+
+        if (!prNumber || !prUrl) {
+            console.warn("PR event missing number or URL.");
+            return "";
+        }
+
+        let actionText = `performed action \`${escapeMarkdownV2(action)}\` on`; // Fallback
+        let subject = `pull request [\\#${prNumber} ${prTitle}](${escapeMarkdownV2Url(prUrl)})`;
+        let details = "";
+
+        switch (action) {
+            case "opened":
+                actionText = `opened`;
+                break;
+            case "closed":
+                actionText = pr?.merged ? `✅ merged` : `closed`;
+                if (pr?.merged_by)
+                    details = `by ${escapeMarkdownV2(pr.merged_by.login)}`;
+                break;
+            case "reopened":
+                actionText = `reopened`;
+                break;
+            case "edited":
+                actionText = `edited`;
+                break;
+            case "assigned":
+                actionText = `assigned`;
+                subject = `pull request [\\#${prNumber}](${escapeMarkdownV2Url(prUrl)})`;
+                details = `to ${escapeMarkdownV2(
+                    payload.assignee?.login || "someone"
+                )}`;
+                break;
+            case "unassigned":
+                actionText = `unassigned ${escapeMarkdownV2(
+                    payload.assignee?.login || "someone"
+                )} from`;
+                subject = `pull request [\\#${prNumber}](${escapeMarkdownV2Url(prUrl)})`;
+                break;
+            case "review_requested":
+                actionText = `requested a review from`;
+                let reviewer = "someone";
+                if (payload.requested_reviewer)
+                    reviewer = escapeMarkdownV2(
+                        payload.requested_reviewer.login
+                    );
+                else if (payload.requested_team)
+                    reviewer = `team \`${escapeMarkdownV2(
+                        payload.requested_team.name
+                    )}\``;
+                subject = `${reviewer} on pull request [\\#${prNumber}](${escapeMarkdownV2Url(prUrl)})`;
+                break;
+            case "review_request_removed":
+                actionText = `removed review request for`;
+                let removedReviewer = "someone";
+                if (payload.requested_reviewer)
+                    removedReviewer = escapeMarkdownV2(
+                        payload.requested_reviewer.login
+                    );
+                else if (payload.requested_team)
+                    removedReviewer = `team \`${escapeMarkdownV2(
+                        payload.requested_team.name
+                    )}\``;
+                subject = `${removedReviewer} on pull request [\\#${prNumber}](${escapeMarkdownV2Url(prUrl)})`;
+                break;
+            case "labeled":
+                actionText = `added label`;
+                subject = `\`${escapeMarkdownV2(
+                    payload.label?.name || "?"
+                )}\` to pull request [\\#${prNumber}](${escapeMarkdownV2Url(prUrl)})`;
+                break;
+            case "unlabeled":
+                actionText = `removed label`;
+                subject = `\`${escapeMarkdownV2(
+                    payload.label?.name || "?"
+                )}\` from pull request [\\#${prNumber}](${escapeMarkdownV2Url(prUrl)})`;
+                break;
+            case "synchronize":
+                actionText = `pushed updates to`;
+                break;
+            case "ready_for_review":
+                actionText = `marked as ready for review`;
+                break;
+            case "converted_to_draft":
+                actionText = `marked as draft`;
+                break;
+            case "locked":
+                actionText = `locked conversation on`;
+                details = payload.pull_request?.active_lock_reason
+                    ? `\\(reason: _${escapeMarkdownV2(
+                          payload.pull_request.active_lock_reason
+                      )}_\\)`
+                    : "";
+                break;
+            case "unlocked":
+                actionText = `unlocked conversation on`;
+                break;
+            case "auto_merge_enabled":
+                actionText = `enabled auto\\-merge on`;
+                break;
+            case "auto_merge_disabled":
+                actionText = `disabled auto\\-merge on`;
+                break;
+            case "milestoned":
+                actionText = `added`;
+                subject = `pull request [\\#${prNumber}](${escapeMarkdownV2Url(prUrl)}) to milestone \`${escapeMarkdownV2(
+                    payload.milestone?.title || "?"
+                )}\``;
+                break;
+            case "demilestoned":
+                actionText = `removed`;
+                subject = `pull request [\\#${prNumber}](${escapeMarkdownV2Url(prUrl)}) from milestone \`${escapeMarkdownV2(
+                    payload.milestone?.title || "?"
+                )}\``;
+                break;
+            case "enqueued":
+                actionText = `enqueued`;
+                break; // Merge Queue
+            case "dequeued":
+                actionText = `dequeued`;
+                break; // Merge Queue
+            default:
+                actionText = `performed action \`${escapeMarkdownV2(
+                    action
+                )}\` on`;
+        }
+        return `${userLink} ${actionText} ${subject} ${details} ${repoContext}`;
+    }
+);
+
+registerFormatter(
+    "pull_request_review",
+    ({ eventType, payload, options, userLink, repoContext }) => {
+        let message = "";
+        const review = payload.review;
+        const pr = payload.pull_request;
+        const prNumber = pr?.number;
+        const prUrl = pr?.html_url;
+        const reviewState = escapeMarkdownV2(review?.state); // commented, approved, changes_requested, dismissed
+        const reviewUrl = review?.html_url;
+
+        if (!prNumber || !prUrl) {
+            console.warn("PR Review event missing PR info.");
+            return "";
+        }
+
+        let actionText = `submitted a review`;
+        let stateText = `\\(\`${reviewState}\`\\)`;
+        let icon = "👀";
+        if (reviewState === "approved") {
+            icon = "✅";
+            stateText = `approved the changes`;
+        }
+        if (reviewState === "changes_requested") {
+            icon = "⚠️";
+            stateText = `requested changes`;
+        }
+        if (reviewState === "commented") {
+            icon = "💬";
+            stateText = `commented`;
+        }
+        if (reviewState === "dismissed") {
+            icon = "🚫";
+            stateText = `dismissed a review`;
+        }
+
+        message = `${userLink} ${icon} ${stateText} on pull request [\\#${prNumber}](${escapeMarkdownV2Url(prUrl)}) ${
+            reviewUrl
+                ? `\\([View Review](${escapeMarkdownV2Url(reviewUrl)})\\) `
+                : ""
+        }${repoContext}`;
+        if (review?.body) {
+            const body = escapePreview(
+                review.body,
+                getPreviewLength(options, eventType, 150)
+            );
+            if (body) message += `\n> ${body}`;
+        }
+        return message;
+    }
+);
+
+registerFormatter(
+    "pull_request_review_thread",
+    ({ action, payload, userLink, repoContext }) => {
+        const thread = payload.thread;
+        const pr = payload.pull_request;
+        const prNumber = pr?.number;
+        const prUrl = pr?.html_url;
+
+        if (!prNumber || !prUrl || !thread?.comments?.length) {
+            console.warn("PR Review Thread event missing info.");
+            return "";
+        }
+
+        const threadUrl = thread.comments[0].html_url;
+        let verb = escapeMarkdownV2(action);
+        if (action === "resolved") verb = "✅ resolved a review thread";
+        if (action === "unresolved") verb = " reopened a review thread";
+
+        return `${userLink} ${verb} on pull request [\\#${prNumber}](${escapeMarkdownV2Url(prUrl)}) ${
+            threadUrl
+                ? `\\([View Thread](${escapeMarkdownV2Url(threadUrl)})\\) `
+                : ""
+        }${repoContext}`;
+    }
+);
+
+registerFormatter(
+    ["issue_comment", "pull_request_review_comment"],
+    ({ eventType, action, payload, options, userLink, repoContext }) => {
+        let message = "";
+        const comment = payload.comment;
+        const issue = payload.issue; // Issue context (for issue comments)
+        const pr = payload.pull_request; // PR context (for PR review comments)
+        const commentUrl = comment?.html_url;
+        let targetLink = "an item"; // Fallback
+
+        if (pr?.number) {
+            targetLink = `pull request [\\#${pr.number} ${escapeMarkdownV2(
+                pr.title || ""
+            )}](${escapeMarkdownV2Url(pr.html_url || "#")})`;
+        } else if (issue?.number) {
+            targetLink = `issue [\\#${issue.number} ${escapeMarkdownV2(
+                issue.title || ""
+            )}](${escapeMarkdownV2Url(issue.html_url || "#")})`;
+        }
+
+        if (!commentUrl || action === "deleted") {
+            message = `${userLink} ${escapeMarkdownV2(
+                action
+            )} a comment on ${targetLink} ${repoContext}`;
+        } else {
+            let verb = "commented on";
+            if (action === "edited") verb = "edited a comment on";
+            message = `${userLink} ${verb} ${targetLink} ${repoContext} \\([View Comment](${escapeMarkdownV2Url(commentUrl)})\\)`;
+            const body = escapePreview(
+                comment.body,
+                getPreviewLength(options, eventType, 150)
+            );
+            if (body) message += `\n> ${body}`;
+        }
+        return message;
+    }
+);
+
+registerFormatter(
+    "commit_comment",
+    ({ eventType, action, payload, options, userLink, repoContext }) => {
+        let message = "";
+        const comment = payload.comment;
+        const commitShaShort = escapeMarkdownV2(
+            comment?.commit_id?.substring(0, 7) || "unknown"
+        );
+        const commentUrl = comment?.html_url;
+
+        if (!commentUrl || action === "deleted") {
+            message = `${userLink} ${escapeMarkdownV2(
+                action
+            )} a comment on commit \`${commitShaShort}\` ${repoContext}`;
+        } else {
+            let verb = "commented on";
+            if (action === "edited") verb = "edited a comment on";
+            message = `${userLink} ${verb} commit [\`${commitShaShort}\`](${escapeMarkdownV2Url(commentUrl)}) ${repoContext}`;
+            const body = escapePreview(
+                comment.body,
+                getPreviewLength(options, eventType, 150)
+            );
+            if (body) message += `\n> ${body}`;
+        }
+        return message;
+    }
+);
+
+registerFormatter(
+    "discussion",
+    ({ action, payload, userLink, repoContext }) => {
+        const discussion = payload.discussion;
+        const discussionTitle = escapeMarkdownV2(
+            discussion?.title || "discussion"
+        );
+        const discussionUrl = discussion?.html_url;
+        let verb = escapeMarkdownV2(action);
+        let details = "";
+
+        switch (action) {
+            case "created":
+                verb = `💬 created discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)})`;
+                break;
+            case "edited":
+                verb = `✏️ edited discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)})`;
+                break;
+            case "deleted":
+                verb = `🗑️ deleted discussion \`${discussionTitle}\``;
+                break;
+            case "pinned":
+                verb = `📌 pinned discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)})`;
+                break;
+            case "unpinned":
+                verb = `📌 unpinned discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)})`;
+                break;
+            case "locked":
+                verb = `🔒 locked discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)})`;
+                break;
+            case "unlocked":
+                verb = `🔓 unlocked discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)})`;
+                break;
+            case "transferred":
+                verb = `↔️ transferred discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)})`;
+                break;
+            case "category_changed":
+                verb = `🔄 changed category for discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)})`;
+                break;
+            case "answered":
+                verb = `✅ marked discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)}) as answered`;
+                break;
+            case "unanswered":
+                verb = `❓ marked discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)}) as unanswered`;
+                break;
+            case "labeled":
+                details = `label \`${escapeMarkdownV2(
+                    payload.label?.name || "?"
+                )}\` to`;
+                verb = `added ${details} discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)})`;
+                break;
+            case "unlabeled":
+                details = `label \`${escapeMarkdownV2(
+                    payload.label?.name || "?"
+                )}\` from`;
+                verb = `removed ${details} discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)})`;
+                break;
+            default:
+                verb = `performed action \`${verb}\` on discussion [${discussionTitle}](${escapeMarkdownV2Url(discussionUrl)})`;
+        }
+        return `${userLink} ${verb} ${repoContext}`;
+    }
+);
+
+registerFormatter(
+    "discussion_comment",
+    ({ eventType, action, payload, options, userLink, repoContext }) => {
+        let message = "";
+        const comment = payload.comment;
+        const discussion = payload.discussion;
+        const commentUrl = comment?.html_url;
+        const discussionLink = discussion?.html_url
+            ? `discussion [${escapeMarkdownV2(discussion.title)}](${escapeMarkdownV2Url(
+                  discussion.html_url
+              )})`
+            : "a discussion";
+
+        if (!commentUrl || action === "deleted") {
+            message = `${userLink} ${escapeMarkdownV2(
+                action
+            )} a comment on ${discussionLink} ${repoContext}`;
+        } else {
+            let verb = "commented on";
+            if (action === "edited") verb = "edited a comment on";
+            message = `${userLink} ${verb} ${discussionLink} ${repoContext} \\([View Comment](${escapeMarkdownV2Url(commentUrl)})\\)`;
+            const body = escapePreview(
+                comment.body,
+                getPreviewLength(options, eventType, 150)
+            );
+            if (body) message += `\n> ${body}`;
+        }
+        return message;
+    }
+);
+
+registerFormatter("label", ({ action, payload, userLink, repoContext }) => {
+    const labelName = escapeMarkdownV2(payload.label?.name || "label");
+    let verb = escapeMarkdownV2(action);
+    switch (action) {
+        case "created":
+            verb = `🏷️ created label \`${labelName}\``;
+            break;
+        case "edited":
+            verb = `✏️ edited label \`${labelName}\``;
+            break;
+        case "deleted":
+            verb = `🗑️ deleted label \`${labelName}\``;
+            break;
+        default:
+            verb = `performed action \`${verb}\` on label \`${labelName}\``;
+    }
+    return `${userLink} ${verb} ${repoContext}`;
+});
+
+// == Security & Dependencies ==
+registerFormatter(
+    "dependabot_alert",
+    ({ action, payload, userLink, repoContext }) => {
+        const alert = payload.alert;
+        const state = alert?.state;
+        const severity = escapeMarkdownV2(
+            alert?.security_advisory?.severity || "?"
+        ); // low, medium, high, critical
+        const packageName = escapeMarkdownV2(
+            alert?.security_vulnerability?.package?.name || "dependency"
+        );
+        const alertUrl = alert?.html_url;
+        let verb = escapeMarkdownV2(action);
+        let icon = "⚠️";
+
+        switch (action) {
+            case "created":
+                verb = `created Dependabot alert \\(\`${severity}\`\\) for \`${packageName}\``;
+                break;
+            case "fixed":
+                verb = `✅ fixed Dependabot alert for \`${packageName}\``;
+                icon = "✅";
+                break;
+            case "dismissed":
+                verb = `🚫 dismissed Dependabot alert for \`${packageName}\``;
+                icon = "🚫";
+                break;
+            case "reopened":
+                verb = `reopened Dependabot alert for \`${packageName}\``;
+                break;
+            case "auto_dismissed":
+                verb = `🚫 auto\\-dismissed Dependabot alert for \`${packageName}\``;
+                icon = "🚫";
+                break;
+            case "auto_reopened":
+                verb = `reopened Dependabot alert for \`${packageName}\``;
+                break;
+            case "reintroduced":
+                verb = `🔄 reintroduced Dependabot alert for \`${packageName}\``;
+                break;
+            default:
+                verb = `performed action \`${verb}\` on Dependabot alert for \`${packageName}\``;
+        }
+        const advisory = alert?.security_advisory;
+        const vulnerability = alert?.security_vulnerability;
+        return `${userLink} ${icon} ${verb} ${repoContext} ${
+            alertUrl ? `\\([Details](${escapeMarkdownV2Url(alertUrl)})\\)` : ""
+        }${formatAdvisoryDetails({
+            ghsaId: advisory?.ghsa_id,
+            cveId: advisory?.cve_id,
+            vulnerableRange: vulnerability?.vulnerable_version_range,
+            patchedVersion: vulnerability?.first_patched_version?.identifier,
+            cvssScore:
+                advisory?.cvss?.score ||
+                advisory?.cvss_severities?.cvss_v4?.score ||
+                advisory?.cvss_severities?.cvss_v3?.score,
+            manifestPath: alert?.dependency?.manifest_path,
+        })}`;
+    }
+);
+
+registerFormatter(
+    "code_scanning_alert",
+    ({ action, payload, userLink, repoContext }) => {
+        const alert = payload.alert;
+        const ruleDesc = escapeMarkdownV2(
+            alert?.rule?.description || "Code scanning rule"
+        );
+        const alertUrl = alert?.html_url;
+        const alertNumber = alert?.number;
+        let verb = escapeMarkdownV2(action);
+        let icon = "🛡️";
+
+        switch (action) {
+            case "created":
+                verb = `found new alert [\\#${alertNumber}](${escapeMarkdownV2Url(alertUrl)}): ${ruleDesc}`;
+                break;
+            case "fixed":
+                verb = `✅ fixed alert [\\#${alertNumber}](${escapeMarkdownV2Url(alertUrl)}): ${ruleDesc}`;
+                icon = "✅";
+                break;
+            case "closed_by_user":
+                verb = `🚫 closed alert [\\#${alertNumber}](${escapeMarkdownV2Url(alertUrl)}) as "${escapeMarkdownV2(
+                    alert.dismissed_reason || "?"
+                )}"`;
+                icon = "🚫";
+                break;
+            case "reopened_by_user":
+                verb = ` reopened alert [\\#${alertNumber}](${escapeMarkdownV2Url(alertUrl)}): ${ruleDesc}`;
+                break;
+            case "reopened":
+                verb = ` reopened alert [\\#${alertNumber}](${escapeMarkdownV2Url(alertUrl)}): ${ruleDesc}`;
+                break;
+            case "appeared_in_branch":
+                verb = `alert [\\#${alertNumber}](${escapeMarkdownV2Url(alertUrl)}) appeared in branch \`${escapeMarkdownV2(
+                    payload.ref || "?"
+                )}\``;
+                break;
+            default:
+                verb = `performed action \`${verb}\` on alert [\\#${alertNumber}](${escapeMarkdownV2Url(alertUrl)}): ${ruleDesc}`;
+        }
+        const location = alert?.most_recent_instance?.location;
+        return `${
+            userLink ||
+            escapeMarkdownV2(
+                payload.commit_oid?.substring(0, 7) || "Code Scanning"
+            )
+        } ${icon} ${verb} ${repoContext}${formatAdvisoryDetails({
+            location:
+                location?.path &&
+                `${location.path}${
+                    location.start_line ? `:${location.start_line}` : ""
+                }`,
+        })}`;
+    }
+);
+
+registerFormatter(
+    "secret_scanning_alert",
+    ({ action, payload, userLink, repoContext }) => {
+        const alert = payload.alert;
+        const secretType = escapeMarkdownV2(
+            alert?.secret_type_display_name || alert?.secret_type || "secret"
+        );
+        const alertLink = alert?.html_url
+            ? `[\\#${alert.number}](${escapeMarkdownV2Url(alert.html_url)})`
+            : `\\#${alert?.number ?? "?"}`;
+        const subject = `secret scanning alert ${alertLink} \\(\`${secretType}\`\\)`;
+
+        switch (action) {
+            case "created":
+                return `🔑 New ${subject} ${repoContext}`;
+            case "publicly_leaked":
+                return `🚨 The secret of ${subject} was found in a public location ${repoContext}`;
+            case "resolved":
+                return `${userLink} ✅ resolved ${subject} as \`${escapeMarkdownV2(
+                    alert?.resolution || "?"
+                )}\` ${repoContext}`;
+            case "reopened":
+                return `${userLink} 🔄 reopened ${subject} ${repoContext}`;
+            case "validated":
+                return `🔑 ${subject[0].toUpperCase()}${subject.slice(
+                    1
+                )} was validated as \`${escapeMarkdownV2(
+                    alert?.validity || "unknown"
+                )}\` ${repoContext}`;
+            case "assigned":
+                return `${userLink} assigned ${subject} to ${escapeMarkdownV2(
+                    payload.assignee?.login || "someone"
+                )} ${repoContext}`;
+            case "unassigned":
+                return `${userLink} unassigned ${escapeMarkdownV2(
+                    payload.assignee?.login || "someone"
+                )} from ${subject} ${repoContext}`;
+            default:
+                return `${userLink} performed action \`${escapeMarkdownV2(
+                    action
+                )}\` on ${subject} ${repoContext}`;
+        }
+    }
+);
+
+registerFormatter(
+    "secret_scanning_alert_location",
+    ({ payload, repoContext }) => {
+        const alert = payload.alert;
+        const location = payload.location;
+        const details = location?.details || {};
+        const alertLink = alert?.html_url
+            ? `[\\#${alert.number}](${escapeMarkdownV2Url(alert.html_url)})`
+            : `\\#${alert?.number ?? "?"}`;
+        let where = `in ${escapeMarkdownV2(
+            (location?.type || "unknown location").replace(/_/g, " ")
+        )}`;
+        if (location?.type === "commit" && details.path) {
+            const line = details.start_line ? `:${details.start_line}` : "";
+            where = `in \`${escapeMarkdownV2(
+                `${details.path}${line}`
+            )}\` of commit \`${escapeMarkdownV2(
+                details.commit_sha?.substring(0, 7) || "?"
+            )}\``;
+        }
+        return `🔑 Secret of alert ${alertLink} \\(\`${escapeMarkdownV2(
+            alert?.secret_type_display_name || alert?.secret_type || "secret"
+        )}\`\\) found ${where} ${repoContext}`;
+    }
+);
+
+registerFormatter(
+    "repository_vulnerability_alert",
+    ({ action, payload, userLink, repoContext }) => {
+        const alert = payload.alert;
+        const packageName = escapeMarkdownV2(
+            alert?.affected_package_name || "dependency"
+        );
+        const severity = escapeMarkdownV2(alert?.severity || "?");
+        const details = formatAdvisoryDetails({
+            ghsaId: alert?.ghsa_id,
+            cveId: alert?.external_identifier,
+            vulnerableRange: alert?.affected_range,
+            patchedVersion: alert?.fixed_in,
+        });
+        const subject = `vulnerability alert for \`${packageName}\` \\(\`${severity}\`\\)`;
+        switch (action) {
+            case "create":
+                return `⚠️ New ${subject} ${repoContext}${details}`;
+            case "dismiss":
+                return `${userLink} 🚫 dismissed ${subject} ${repoContext}${details}`;
+            case "reopen":
+                return `${userLink} 🔄 reopened ${subject} ${repoContext}${details}`;
+            case "resolve":
+                return `✅ Resolved ${subject} ${repoContext}${details}`;
+            default:
+                return `${userLink} performed action \`${escapeMarkdownV2(
+                    action
+                )}\` on ${subject} ${repoContext}${details}`;
+        }
+    }
+);
+
+registerFormatter("security_advisory", ({ action, payload }) => {
+    const advisory = payload.security_advisory;
+    const ghsaId = advisory?.ghsa_id;
+    const advisoryLink = ghsaId
+        ? `[${escapeMarkdownV2(ghsaId)}](${escapeMarkdownV2Url(
+              `https://github.com/advisories/${ghsaId}`
+          )})`
+        : "";
+    const severity = escapeMarkdownV2(advisory?.severity || "?");
+    const summary = escapeMarkdownV2(advisory?.summary || "");
+    const icon = action === "withdrawn" ? "↩️" : "🛡️";
+    const vulnerabilities = advisory?.vulnerabilities || [];
+    const packages = vulnerabilities
+        .map(({ package: pkg }) => pkg?.name)
+        .filter(Boolean)
+        .map((name) => `\`${escapeMarkdownV2(name)}\``);
+    return `${icon} Security advisory${
+        advisoryLink ? ` ${advisoryLink}` : ""
+    } ${escapeMarkdownV2(
+        action
+    )} \\(\`${severity}\`\\)${summary ? `: ${summary}` : ""}${
+        packages.length > 0 ? `\n• Packages: ${packages.join(", ")}` : ""
+    }${formatAdvisoryDetails({
+        cveId: advisory?.cve_id,
+        vulnerableRange: vulnerabilities[0]?.vulnerable_version_range,
+        patchedVersion: vulnerabilities[0]?.first_patched_version?.identifier,
+        cvssScore: advisory?.cvss?.score,
+    })}`;
+});
+
+registerFormatter("fork", ({ payload, userLink, repoLink }) => {
+    const forkeeName = escapeMarkdownV2(payload.forkee?.full_name || "unknown");
+    const forkeeUrl = payload.forkee?.html_url;
+    const forkeeLink = forkeeUrl
+        ? `[${forkeeName}](${escapeMarkdownV2Url(forkeeUrl)})`
+        : forkeeName;
+    return `${userLink} 🍴 forked ${repoLink} to ${forkeeLink}`;
+});
 
-            if (!issueNumber) {
-                console.warn("Issue event missing number.");
-                return "";
-            }
-            if (!issueUrl && action !== "deleted") {
-                console.warn("Issue event missing URL.");
-                return "";
-            }
+registerFormatter("star", ({ action, userLink, repoLink }) => {
+    if (action === "created") return `${userLink} 🌟 starred ${repoLink}`;
+    if (action === "deleted") return `${userLink} 💔 unstarred ${repoLink}`;
+    return "";
+});
+
+registerFormatter("watch", ({ action, userLink, repoLink }) => {
+    if (action === "started")
+        return `${userLink} 👀 started watching ${repoLink}`;
+    return "";
+});
+
+registerFormatter(
+    "release",
+    ({ eventType, action, payload, options, userLink, repoContext }) => {
+        let message = "";
+        const release = payload.release;
+        const tagName = escapeMarkdownV2(release?.tag_name || "tag?");
+        const releaseName = escapeMarkdownV2(
+            release?.name || tagName || "release?"
+        );
+        const releaseUrl = release?.html_url;
 
+        if (!releaseUrl && action !== "deleted") {
+            message = `${userLink} performed action \`${escapeMarkdownV2(
+                action
+            )}\` on release \`${releaseName}\` ${repoContext}`;
+        } else {
             let actionText = `performed action \`${escapeMarkdownV2(
                 action
             )}\` on`;
-            let subject = `issue [\\#${issueNumber} ${issueTitle}](${
-                issueUrl || "\\#"
-            })`;
-            let details = "";
-
+            let subject = `release [${releaseName}](${escapeMarkdownV2Url(releaseUrl || "#")})`;
             switch (action) {
-                case "opened":
-                    actionText = `opened`;
+                case "published":
+                    actionText = `📦 published`;
                     break;
-                case "closed":
-                    actionText = `closed`;
+                case "unpublished":
+                    actionText = `unpublished`;
                     break;
-                case "reopened":
-                    actionText = `reopened`;
+                case "created":
+                    actionText = `created release draft`;
                     break;
                 case "edited":
                     actionText = `edited`;
                     break;
-                case "assigned":
-                    actionText = `assigned`;
-                    subject = `issue [\\#${issueNumber}](${issueUrl})`;
-                    details = `to ${escapeMarkdownV2(
-                        payload.assignee?.login || "someone"
-                    )}`;
-                    break;
-                case "unassigned":
-                    actionText = `unassigned ${escapeMarkdownV2(
-                        payload.assignee?.login || "someone"
-                    )} from`;
-                    subject = `issue [\\#${issueNumber}](${issueUrl})`;
-                    break;
-                case "labeled":
-                    actionText = `added label`;
-                    subject = `\`${escapeMarkdownV2(
-                        payload.label?.name || "?"
-                    )}\` to issue [\\#${issueNumber}](${issueUrl})`;
-                    break;
-                case "unlabeled":
-                    actionText = `removed label`;
-                    subject = `\`${escapeMarkdownV2(
-                        payload.label?.name || "?"
-                    )}\` from issue [\\#${issueNumber}](${issueUrl})`;
-                    break;
-                case "locked":
-                    actionText = `locked conversation on`;
-                    details = payload.issue?.active_lock_reason
-                    details = payload.issue?.active_lock_reason
-                        ? `\\(reason: _${escapeMarkdownV2(
-                              payload.issue.active_lock_reason
-                          )}_\\)`
-                        : "";
-                    break;
-                case "unlocked":
-                    actionText = `unlocked conversation on`;
-                    break;
                 case "deleted":
                     actionText = `deleted`;
-                    subject = `issue \`\\#${issueNumber} ${issueTitle}\``; // URL is invalid
+                    subject = `release \`${releaseName}\``;
                     break;
-                case "transferred":
-                    actionText = `transferred`;
+                case "prereleased":
+                    actionText = `published pre\\-release`;
                     break;
-                case "pinned":
-                    actionText = `📌 pinned`;
+                case "released":
+                    actionText = `published release`;
                     break;
-                case "unpinned":
-                    actionText = `📌 unpinned`;
-                    break;
-                case "milestoned":
-                    actionText = `added`;
-                    subject = `issue [\\#${issueNumber}](${issueUrl}) to milestone \`${escapeMarkdownV2(
-                        payload.milestone?.title || "?"
-                    )}\``;
-                    break;
-                case "demilestoned":
-                    actionText = `removed`;
-                    subject = `issue [\\#${issueNumber}](${issueUrl}) from milestone \`${escapeMarkdownV2(
-                        payload.milestone?.title || "?"
-                    )}\``;
-                    break;
-                case "typed": // New Issue type field
-                    actionText = `changed type of`;
-                    subject = `issue [\\#${issueNumber}](${issueUrl})`;
-                    // Payload structure for 'typed' needs confirmation - assuming 'issue.type' exists
-                    details = payload.issue?.type
-                        ? `to \`${escapeMarkdownV2(payload.issue.type)}\``
-                        : "";
-                    break;
-                case "untyped": // Hypothetical - not standard? Handle similarly if it exists.
-                    actionText = `removed type from`;
-                    subject = `issue [\\#${issueNumber}](${issueUrl})`;
-                    break;
-                default:
-                    actionText = `performed action \`${escapeMarkdownV2(
-                        action
-                    )}\` on`;
             }
-            message = `${userLink} ${actionText} ${subject} ${details} ${repoContext}`;
+            message = `${userLink} ${actionText} ${subject} ${repoContext}`;
+
+            if (
+                ["published", "created", "prereleased", "released"].includes(
+                    action
+                ) &&
+                release?.body
+            ) {
+                const notes = escapePreview(
+                    release.body,
+                    getPreviewLength(options, eventType, 200)
+                );
+                if (notes)
+                    message += `
+> ${notes}`;
+            }
+        }
+        return message;
+    }
+);
+
+registerFormatter("package", ({ action, payload, userLink, repoContext }) => {
+    const pkg = payload.package;
+    const pkgVersion = escapeMarkdownV2(pkg?.package_version?.version || "?");
+    const pkgName = escapeMarkdownV2(pkg?.name || "package");
+    const pkgType = escapeMarkdownV2(pkg?.package_type || "?"); // npm, maven, docker, nuget, rubygems, container
+    const pkgUrl = pkg?.html_url;
+    let verb = escapeMarkdownV2(action);
+    if (action === "published")
+        verb = `📦 published ${pkgType} package \`${pkgName}\` version \`${pkgVersion}\``;
+    if (action === "updated")
+        verb = `🔄 updated ${pkgType} package \`${pkgName}\``; // Might not include version
+
+    return `${userLink} ${verb} ${repoContext} ${
+        pkgUrl ? `\\([View Package](${escapeMarkdownV2Url(pkgUrl)})\\)` : ""
+    }`;
+});
+
+registerFormatter("gollum", ({ action, payload, userLink, repoContext }) => {
+    let message = "";
+    const pages = payload.pages || [];
+    const pageCount = pages.length;
+    if (pageCount > 0) {
+        const firstPage = pages[0];
+        const pageName = escapeMarkdownV2(firstPage.page_name || "?");
+        const pageAction = escapeMarkdownV2(firstPage.action || "updated");
+        const pageUrl = firstPage.html_url;
+        message = `${userLink} wiki page \`${pageName}\` ${pageAction} ${
+            pageUrl ? `\\([View Page](${escapeMarkdownV2Url(pageUrl)})\\) ` : ""
+        }${repoContext}`;
+        if (pageCount > 1)
+            message += ` \\(and ${pageCount - 1} other${
+                pageCount > 2 ? "s" : ""
+            }\\)`;
+    } else {
+        message = `${userLink} updated the wiki ${repoContext}`; // Fallback
+    }
+    return message;
+});
+
+registerFormatter("team", ({ action, payload, repoLink }) => {
+    const teamName = escapeMarkdownV2(payload.team?.name || "team");
+    const teamUrl = payload.team?.html_url;
+    const teamLink = teamUrl
+        ? `[${teamName}](${escapeMarkdownV2Url(teamUrl)})`
+        : `\`${teamName}\``;
+    let verb = escapeMarkdownV2(action);
+    switch (action) {
+        case "created":
+            verb = `created team ${teamLink}`;
+            break;
+        case "deleted":
+            verb = `deleted team \`${teamName}\``;
             break;
+        case "edited":
+            verb = `✏️ edited team ${teamLink}`;
+            break;
+        case "added_to_repository":
+            verb = `added ${repoLink} to team ${teamLink}`;
+            break;
+        case "removed_from_repository":
+            verb = `removed ${repoLink} from team ${teamLink}`;
+            break;
+        default:
+            verb = `performed action \`${verb}\` regarding team ${teamLink}`;
+    }
+    return `Team action: ${verb}`;
+});
+
+// == Deployments ==
+const DEPLOYMENT_STATES = {
+    success: { icon: "✅", text: "succeeded" },
+    failure: { icon: "❌", text: "failed" },
+    error: { icon: "❌", text: "errored" },
+    pending: { icon: "⏳", text: "is pending" },
+    queued: { icon: "⏳", text: "is queued" },
+    waiting: { icon: "⏳", text: "is waiting" },
+    in_progress: { icon: "⚙️", text: "is in progress" },
+    inactive: { icon: "💤", text: "is inactive" },
+};
+
+registerFormatter(
+    "deployment",
+    ({ action, payload, userLink, repoContext }) => {
+        const deployment = payload.deployment;
+        const ref = escapeMarkdownV2(deployment?.ref || "?");
+        const environment = escapeMarkdownV2(deployment?.environment || "?");
+        const sha = escapeMarkdownV2(deployment?.sha?.substring(0, 7) || "?");
+        if (action === "created") {
+            return `${userLink} 🚀 started a deployment of \`${ref}\` \\(\`${sha}\`\\) to \`${environment}\` ${repoContext}`;
         }
-        case "pull_request": {
-            const pr = payload.pull_request;
-            const action = payload.action;
-            const prNumber = pr?.number;
-            const prTitle = escapeMarkdownV2(
-                pr?.title || `PR \\#${prNumber || "?"}`
+        return `${userLink} performed action \`${escapeMarkdownV2(
+            action
+        )}\` on a deployment to \`${environment}\` ${repoContext}`;
+    }
+);
+
+registerFormatter("deployment_status", ({ payload, repoContext }) => {
+    const status = payload.deployment_status;
+    const deployment = payload.deployment;
+    const state = status?.state;
+    const { icon, text } = DEPLOYMENT_STATES[state] || {
+        icon: "ℹ️",
+        text: `is ${(state || "updated").replace(/_/g, " ")}`,
+    };
+    const ref = escapeMarkdownV2(deployment?.ref || "?");
+    const environment = escapeMarkdownV2(
+        status?.environment || deployment?.environment || "?"
+    );
+    const links = [];
+    if (status?.environment_url) {
+        links.push(`[Open](${escapeMarkdownV2Url(status.environment_url)})`);
+    }
+    const logUrl = status?.log_url || status?.target_url;
+    if (logUrl) links.push(`[Logs](${escapeMarkdownV2Url(logUrl)})`);
+
+    let message = `${icon} Deployment of \`${ref}\` to \`${environment}\` ${escapeMarkdownV2(text)} ${links.length > 0 ? `\\(${links.join(" \\| ")}\\) ` : ""}${repoContext}`;
+    if (status?.description) {
+        message += `\n> ${escapeMarkdownV2(status.description)}`;
+    }
+    return message;
+});
+
+registerFormatter(
+    "deployment_review",
+    ({ eventType, action, payload, options, userLink, repoContext }) => {
+        const run = payload.workflow_run;
+        const runLink = run?.html_url
+            ? `workflow run [${escapeMarkdownV2(
+                  run.name || String(run.id)
+              )}](${escapeMarkdownV2Url(run.html_url)})`
+            : "a workflow run";
+        const environments = [
+            ...new Set(
+                (payload.workflow_job_runs || [])
+                    .map((jobRun) => jobRun.environment)
+                    .concat(payload.environment || [])
+                    .filter(Boolean)
+            ),
+        ];
+        const environmentList =
+            environments
+                .map((environment) => `\`${escapeMarkdownV2(environment)}\``)
+                .join(", ") || "an environment";
+
+        let message;
+        switch (action) {
+            case "requested":
+                message = `${userLink} 🙋 requested a deployment review for ${environmentList} in ${runLink} ${repoContext}`;
+                break;
+            case "approved":
+                message = `${userLink} ✅ approved the deployment to ${environmentList} in ${runLink} ${repoContext}`;
+                break;
+            case "rejected":
+                message = `${userLink} ❌ rejected the deployment to ${environmentList} in ${runLink} ${repoContext}`;
+                break;
+            default:
+                message = `${userLink} performed action \`${escapeMarkdownV2(
+                    action
+                )}\` on a deployment review for ${environmentList} ${repoContext}`;
+        }
+        if (payload.comment) {
+            const comment = escapePreview(
+                payload.comment,
+                getPreviewLength(options, eventType, 150)
             );
-            const prUrl = pr?.html_url;
+            if (comment) message += `\n> ${comment}`;
+        }
+        return message;
+    }
+);
 
-            if (!prNumber || !prUrl) {
-                console.warn("PR event missing number or URL.");
-                return "";
-            }
+registerFormatter("deployment_protection_rule", ({ payload, repoContext }) => {
+    const environment = escapeMarkdownV2(payload.environment || "?");
+    const ref = escapeMarkdownV2(payload.deployment?.ref || "?");
+    const trigger = escapeMarkdownV2(payload.event || "?");
+    return `🛡️ Deployment protection rule check requested for \`${ref}\` to \`${environment}\` \\(triggered by \`${trigger}\`\\) ${repoContext}`;
+});
 
-            let actionText = `performed action \`${escapeMarkdownV2(
+// == Repository settings & access ==
+registerFormatter(
+    "branch_protection_rule",
+    ({ action, payload, userLink, repoContext }) => {
+        const pattern = escapeMarkdownV2(payload.rule?.name || "?");
+        const verbs = {
+            created: "🛡️ created",
+            edited: "✏️ edited",
+            deleted: "🗑️ deleted",
+        };
+        const verb =
+            verbs[action] ||
+            `performed action \`${escapeMarkdownV2(action)}\` on`;
+        return `${userLink} ${verb} branch protection rule \`${pattern}\` ${repoContext}`;
+    }
+);
+
+registerFormatter(
+    "repository_ruleset",
+    ({ action, payload, userLink, repoContext }) => {
+        const ruleset = payload.repository_ruleset;
+        const name = escapeMarkdownV2(ruleset?.name || "?");
+        const target = escapeMarkdownV2(ruleset?.target || "branch");
+        const verbs = {
+            created: "📏 created",
+            edited: "✏️ edited",
+            deleted: "🗑️ deleted",
+        };
+        const verb =
+            verbs[action] ||
+            `performed action \`${escapeMarkdownV2(action)}\` on`;
+        const enforcement =
+            action !== "deleted" && ruleset?.enforcement
+                ? ` \\(enforcement: \`${escapeMarkdownV2(
+                      ruleset.enforcement
+                  )}\`\\)`
+                : "";
+        return `${userLink} ${verb} ${target} ruleset \`${name}\`${enforcement} ${repoContext}`;
+    }
+);
+
+registerFormatter("public", ({ userLink, repoLink }) => {
+    return `${userLink} 🌎 made ${repoLink} public`;
+});
+
+/**
+ * Links a GitHub user from a payload (e.g. a member or sponsor).
+ */
+function getUserLink(user) {
+    const login = escapeMarkdownV2(user?.login || "someone");
+    return user?.html_url
+        ? `[${login}](${escapeMarkdownV2Url(user.html_url)})`
+        : login;
+}
+
+registerFormatter("member", ({ action, payload, userLink, repoContext }) => {
+    const member = getUserLink(payload.member);
+    const permission = payload.changes?.permission?.to;
+    const permissionText = permission
+        ? ` with \`${escapeMarkdownV2(permission)}\` permission`
+        : "";
+    switch (action) {
+        case "added":
+            return `${userLink} 👥 added ${member} as a collaborator${permissionText} ${repoContext}`;
+        case "removed":
+            return `${userLink} 👋 removed collaborator ${member} ${repoContext}`;
+        case "edited":
+            return `${userLink} ✏️ changed the permissions of ${member}${
+                permission ? ` to \`${escapeMarkdownV2(permission)}\`` : ""
+            } ${repoContext}`;
+        default:
+            return `${userLink} performed action \`${escapeMarkdownV2(
                 action
-            )}\` on`; // Fallback
-            let subject = `pull request [\\#${prNumber} ${prTitle}](${prUrl})`;
-            let details = "";
+            )}\` on collaborator ${member} ${repoContext}`;
+    }
+});
 
-            switch (action) {
-                case "opened":
-                    actionText = `opened`;
-                    break;
-                case "closed":
-                    actionText = pr?.merged ? `✅ merged` : `closed`;
-                    if (pr?.merged_by)
-                        details = `by ${escapeMarkdownV2(pr.merged_by.login)}`;
-                    break;
-                case "reopened":
-                    actionText = `reopened`;
-                    break;
-                case "edited":
-                    actionText = `edited`;
-                    break;
-                case "assigned":
-                    actionText = `assigned`;
-                    subject = `pull request [\\#${prNumber}](${prUrl})`;
-                    details = `to ${escapeMarkdownV2(
-                        payload.assignee?.login || "someone"
-                    )}`;
-                    break;
-                case "unassigned":
-                    actionText = `unassigned ${escapeMarkdownV2(
-                        payload.assignee?.login || "someone"
-                    )} from`;
-                    subject = `pull request [\\#${prNumber}](${prUrl})`;
-                    break;
-                case "review_requested":
-                    actionText = `requested a review from`;
-                    let reviewer = "someone";
-                    if (payload.requested_reviewer)
-                        reviewer = escapeMarkdownV2(
-                            payload.requested_reviewer.login
-                        );
-                    else if (payload.requested_team)
-                        reviewer = `team \`${escapeMarkdownV2(
-                            payload.requested_team.name
-                        )}\``;
-                    subject = `${reviewer} on pull request [\\#${prNumber}](${prUrl})`;
-                    break;
-                case "review_request_removed":
-                    actionText = `removed review request for`;
-                    let removedReviewer = "someone";
-                    if (payload.requested_reviewer)
-                        removedReviewer = escapeMarkdownV2(
-                            payload.requested_reviewer.login
-                        );
-                    else if (payload.requested_team)
-                        removedReviewer = `team \`${escapeMarkdownV2(
-                            payload.requested_team.name
-                        )}\``;
-                    subject = `${removedReviewer} on pull request [\\#${prNumber}](${prUrl})`;
-                    break;
-                case "labeled":
-                    actionText = `added label`;
-                    subject = `\`${escapeMarkdownV2(
-                        payload.label?.name || "?"
-                    )}\` to pull request [\\#${prNumber}](${prUrl})`;
-                    break;
-                case "unlabeled":
-                    actionText = `removed label`;
-                    subject = `\`${escapeMarkdownV2(
-                        payload.label?.name || "?"
-                    )}\` from pull request [\\#${prNumber}](${prUrl})`;
-                    break;
-                case "synchronize":
-                    actionText = `pushed updates to`;
-                    break;
-                case "ready_for_review":
-                    actionText = `marked as ready for review`;
-                    break;
-                case "converted_to_draft":
-                    actionText = `marked as draft`;
-                    break;
-                case "locked":
-                    actionText = `locked conversation on`;
-                    details = payload.pull_request?.active_lock_reason
-                        ? `\\(reason: _${escapeMarkdownV2(
-                              payload.pull_request.active_lock_reason
-                          )}_\\)`
-                        : "";
-                    break;
-                case "unlocked":
-                    actionText = `unlocked conversation on`;
-                    break;
-                case "auto_merge_enabled":
-                    actionText = `enabled auto\\-merge on`;
-                    break;
-                case "auto_merge_disabled":
-                    actionText = `disabled auto\\-merge on`;
-                    break;
-                case "milestoned":
-                    actionText = `added`;
-                    subject = `pull request [\\#${prNumber}](${prUrl}) to milestone \`${escapeMarkdownV2(
-                        payload.milestone?.title || "?"
-                    )}\``;
-                    break;
-                case "demilestoned":
-                    actionText = `removed`;
-                    subject = `pull request [\\#${prNumber}](${prUrl}) from milestone \`${escapeMarkdownV2(
-                        payload.milestone?.title || "?"
-                    )}\``;
-                    break;
-                case "enqueued":
-                    actionText = `enqueued`;
-                    break; // Merge Queue
-                case "dequeued":
-                    actionText = `dequeued`;
-                    break; // Merge Queue
-                default:
-                    actionText = `performed action \`${escapeMarkdownV2(
-                        action
-                    )}\` on`;
-            }
-            message = `${userLink} ${actionText} ${subject} ${details} ${repoContext}`;
-            break;
+registerFormatter("membership", ({ action, payload, userLink }) => {
+    const member = getUserLink(payload.member);
+    const teamName = escapeMarkdownV2(payload.team?.name || "team");
+    const teamLink = payload.team?.html_url
+        ? `[${teamName}](${escapeMarkdownV2Url(payload.team.html_url)})`
+        : `\`${teamName}\``;
+    if (action === "added") {
+        return `${userLink} 👥 added ${member} to team ${teamLink}`;
+    }
+    if (action === "removed") {
+        return `${userLink} 👋 removed ${member} from team ${teamLink}`;
+    }
+    return `${userLink} performed action \`${escapeMarkdownV2(
+        action
+    )}\` on ${member}'s membership of team ${teamLink}`;
+});
+
+registerFormatter("organization", ({ action, payload, userLink }) => {
+    const org = `\`${escapeMarkdownV2(
+        payload.organization?.login || "organization"
+    )}\``;
+    const member = getUserLink(payload.membership?.user);
+    const role = payload.membership?.role
+        ? ` as \`${escapeMarkdownV2(payload.membership.role)}\``
+        : "";
+    switch (action) {
+        case "member_added":
+            return `${userLink} 👥 added ${member} to ${org}${role}`;
+        case "member_removed":
+            return `${userLink} 👋 removed ${member} from ${org}`;
+        case "member_invited": {
+            const invitee = payload.invitation?.login
+                ? getUserLink({ login: payload.invitation.login })
+                : "a new member";
+            return `${userLink} ✉️ invited ${invitee} to ${org}`;
         }
-        case "pull_request_review": {
-            const review = payload.review;
-            const pr = payload.pull_request;
-            const prNumber = pr?.number;
-            const prUrl = pr?.html_url;
-            const reviewState = escapeMarkdownV2(review?.state); // commented, approved, changes_requested, dismissed
-            const reviewUrl = review?.html_url;
-
-            if (!prNumber || !prUrl) {
-                console.warn("PR Review event missing PR info.");
-                return "";
-            }
+        case "renamed":
+            return `${userLink} ✏️ renamed organization \`${escapeMarkdownV2(
+                payload.changes?.login?.from || "?"
+            )}\` to ${org}`;
+        case "deleted":
+            return `${userLink} 🗑️ deleted organization ${org}`;
+        default:
+            return `${userLink} performed action \`${escapeMarkdownV2(
+                action
+            )}\` on organization ${org}`;
+    }
+});
 
-            let actionText = `submitted a review`;
-            let stateText = `(\`${reviewState}\`)`;
-            let icon = "👀";
-            if (reviewState === "approved") {
-                icon = "✅";
-                stateText = `approved the changes`;
-            }
-            if (reviewState === "changes_requested") {
-                icon = "⚠️";
-                stateText = `requested changes`;
-            }
-            if (reviewState === "commented") {
-                icon = "💬";
-                stateText = `commented`;
-            }
-            if (reviewState === "dismissed") {
-                icon = "🚫";
-                stateText = `dismissed a review`;
-            }
+registerFormatter("sponsorship", ({ action, payload }) => {
+    const sponsorship = payload.sponsorship;
+    const sponsor = getUserLink(sponsorship?.sponsor);
+    const sponsorable = getUserLink(sponsorship?.sponsorable);
+    const tier = sponsorship?.tier;
+    const tierName = tier
+        ? `\`${escapeMarkdownV2(
+              tier.name ||
+                  `$${tier.monthly_price_in_dollars}${
+                      tier.is_one_time ? "" : " a month"
+                  }`
+          )}\``
+        : "";
+    const tierText = tierName ? ` \\(${tierName}\\)` : "";
+    switch (action) {
+        case "created":
+            return `💖 ${sponsor} started sponsoring ${sponsorable}${tierText}`;
+        case "cancelled":
+            return `💔 ${sponsor} stopped sponsoring ${sponsorable}`;
+        case "pending_cancellation":
+            return `⏳ ${sponsor} will stop sponsoring ${sponsorable} at the end of the billing cycle`;
+        case "tier_changed":
+        case "pending_tier_change":
+            return `🔄 ${sponsor} ${
+                action === "tier_changed" ? "changed" : "will change"
+            } their sponsorship of ${sponsorable} from \`${escapeMarkdownV2(
+                payload.changes?.tier?.from?.name || "?"
+            )}\` to ${tierName || "another tier"}`;
+        case "edited":
+            return `✏️ ${sponsor} edited their sponsorship of ${sponsorable}`;
+        default:
+            return `${sponsor} performed action \`${escapeMarkdownV2(
+                action
+            )}\` on their sponsorship of ${sponsorable}`;
+    }
+});
 
-            message = `${userLink} ${icon} ${stateText} on pull request [\\#${prNumber}](${prUrl}) ${
-                reviewUrl ? `\\([View Review](${reviewUrl})\\) ` : ""
-            }${repoContext}`;
-            if (review?.body) {
-                let body = escapeMarkdownV2(review.body.substring(0, 150));
-                if (review.body.length > 150) body += "\\.\\.\\.";
-                if (body) message += `> ${body}`;
-            }
-            break;
+// == Planning & merge queue ==
+registerFormatter("milestone", ({ action, payload, userLink, repoContext }) => {
+    const milestone = payload.milestone;
+    const title = escapeMarkdownV2(milestone?.title || "milestone");
+    const milestoneLink = milestone?.html_url
+        ? `[${title}](${escapeMarkdownV2Url(milestone.html_url)})`
+        : `\`${title}\``;
+    switch (action) {
+        case "created":
+            return `${userLink} 🎯 created milestone ${milestoneLink}${
+                milestone?.due_on
+                    ? ` due ${escapeMarkdownV2(
+                          milestone.due_on.substring(0, 10)
+                      )}`
+                    : ""
+            } ${repoContext}`;
+        case "closed": {
+            const closed = milestone?.closed_issues ?? 0;
+            const total = closed + (milestone?.open_issues ?? 0);
+            return `${userLink} 🏁 closed milestone ${milestoneLink} \\(${closed}/${total} issues closed\\) ${repoContext}`;
         }
-        case "pull_request_review_thread": {
-            const thread = payload.thread;
-            const pr = payload.pull_request;
-            const prNumber = pr?.number;
-            const prUrl = pr?.html_url;
+        case "opened":
+            return `${userLink} 🔄 reopened milestone ${milestoneLink} ${repoContext}`;
+        case "edited":
+            return `${userLink} ✏️ edited milestone ${milestoneLink} ${repoContext}`;
+        case "deleted":
+            return `${userLink} 🗑️ deleted milestone \`${title}\` ${repoContext}`;
+        default:
+            return `${userLink} performed action \`${escapeMarkdownV2(
+                action
+            )}\` on milestone ${milestoneLink} ${repoContext}`;
+    }
+});
 
-            if (!prNumber || !prUrl || !thread?.comments?.length) {
-                console.warn("PR Review Thread event missing info.");
-                return "";
-            }
+registerFormatter("project_v2_item", ({ action, payload, userLink }) => {
+    const item = payload.projects_v2_item;
+    const contentType = escapeMarkdownV2(
+        (item?.content_type || "item")
+            .replace(/([a-z])([A-Z])/g, "$1 $2")
+            .toLowerCase()
+    );
+    const org = payload.organization?.login
+        ? ` of \`${escapeMarkdownV2(payload.organization.login)}\``
+        : "";
+    const subject = `a ${contentType} in a project${org}`;
+    switch (action) {
+        case "created":
+            return `${userLink} 📋 added ${subject}`;
+        case "edited": {
+            const field = payload.changes?.field_value?.field_name;
+            return `${userLink} ✏️ ${
+                field ? `changed \`${escapeMarkdownV2(field)}\` of` : "edited"
+            } ${subject}`;
+        }
+        case "deleted":
+            return `${userLink} 🗑️ removed ${subject}`;
+        case "archived":
+            return `${userLink} 📦 archived ${subject}`;
+        case "restored":
+            return `${userLink} ♻️ restored ${subject}`;
+        case "converted":
+            return `${userLink} 🔄 converted a draft issue in a project${org} to an issue`;
+        case "reordered":
+            return `${userLink} ↕️ reordered ${subject}`;
+        default:
+            return `${userLink} performed action \`${escapeMarkdownV2(
+                action
+            )}\` on ${subject}`;
+    }
+});
 
-    
-            const threadUrl = thread.comments[0].html_url;
-            let verb = escapeMarkdownV2(action);
-            if (action === "resolved") verb = "✅ resolved a review thread";
-            if (action === "unresolved") verb = " reopened a review thread";
+registerFormatter("merge_group", ({ action, payload, repoContext }) => {
+    const group = payload.merge_group;
+    const baseBranch = escapeMarkdownV2(
+        (group?.base_ref || "").replace(/^refs\/heads\//, "") || "?"
+    );
+    const sha = escapeMarkdownV2(group?.head_sha?.substring(0, 7) || "?");
+    if (action === "checks_requested") {
+        return `🚦 Merge queue checks requested for \`${sha}\` into \`${baseBranch}\` ${repoContext}`;
+    }
+    if (action === "destroyed") {
+        const reasons = {
+            merged: "✅ merged",
+            invalidated: "⚠️ invalidated",
+            dequeued: "🚫 dequeued",
+        };
+        return `🚦 Merge group \`${sha}\` for \`${baseBranch}\` was ${
+            reasons[payload.reason] ||
+            escapeMarkdownV2(payload.reason || "destroyed")
+        } ${repoContext}`;
+    }
+    return `🚦 Merge group \`${sha}\` ${escapeMarkdownV2(action)} ${repoContext}`;
+});
 
-            message = `${userLink} ${verb} on pull request [\\#${prNumber}](${prUrl}) ${
-                threadUrl ? `\\([View Thread](${threadUrl})\\) ` : ""
-            }${repoContext}`;
-            break;
+registerFormatter(
+    "registry_package",
+    ({ action, payload, userLink, repoContext }) => {
+        const pkg = payload.registry_package;
+        const version = pkg?.package_version;
+        const pkgName = escapeMarkdownV2(pkg?.name || "package");
+        const pkgType = escapeMarkdownV2(
+            (pkg?.package_type || "?").toLowerCase()
+        );
+        const versionName = escapeMarkdownV2(
+            version?.container_metadata?.tag?.name || version?.version || "?"
+        );
+        const pkgUrl = version?.html_url || pkg?.html_url;
+        let verb = `performed action \`${escapeMarkdownV2(
+            action
+        )}\` on ${pkgType} package \`${pkgName}\``;
+        if (action === "published") {
+            verb = `📦 published ${pkgType} package \`${pkgName}\` version \`${versionName}\``;
         }
-        case "issue_comment":
-        case "pull_request_review_comment": {
-            const comment = payload.comment;
-            const action = payload.action;
-            const issue = payload.issue; // Issue context (for issue comments)
-            const pr = payload.pull_request; // PR context (for PR review comments)
-            const commentUrl = comment?.html_url;
-            let targetLink = "an item"; // Fallback
-
-            if (pr?.number) {
-                targetLink = `pull request [\\#${pr.number} ${escapeMarkdownV2(
-                    pr.title || ""
-                )}](${pr.html_url || "\\#"})`;
-            } else if (issue?.number) {
-                targetLink = `issue [\\#${issue.number} ${escapeMarkdownV2(
-                    issue.title || ""
-                )}](${issue.html_url || "\\#"})`;
-            }
+        if (action === "updated") {
+            verb = `🔄 updated ${pkgType} package \`${pkgName}\` version \`${versionName}\``;
+        }
+        return `${userLink} ${verb} ${repoContext} ${
+            pkgUrl ? `\\([View Package](${escapeMarkdownV2Url(pkgUrl)})\\)` : ""
+        }`;
+    }
+);
 
-            if (!commentUrl || action === "deleted") {
-                message = `${userLink} ${escapeMarkdownV2(
-                    action
-                )} a comment on ${targetLink} ${repoContext}`;
+// == Webhook & GitHub App lifecycle ==
+registerFormatter("ping", ({ payload, env, repoLink }) => {
+    const hook = payload.hook || {};
+    const hookId = escapeMarkdownV2(String(payload.hook_id ?? hook.id ?? "?"));
+    let source = repoLink;
+    if (!source && payload.organization?.login) {
+        source = `organization \`${escapeMarkdownV2(payload.organization.login)}\``;
+    }
+    if (!source && hook.type === "App") {
+        source = `GitHub App \`${escapeMarkdownV2(String(hook.app_id ?? "?"))}\``;
+    }
+    const events = hook.events || [];
+    const eventList = events.includes("*")
+        ? "all events"
+        : events.map((event) => `\`${escapeMarkdownV2(event)}\``).join(", ") ||
+          "none";
+    const verification = env?.COS_TIMELESS_GITHUB_SECRETS
+        ? "✅ active"
+        : "⚠️ not active \\(set `COS_TIMELESS_GITHUB_SECRETS`\\)";
+
+    let message = `🏓 Webhook \`${hookId}\` is connected${
+        source ? ` for ${source}` : ""
+    }`;
+    message += `\nEvents: ${eventList}`;
+    message += `\nSignature verification: ${verification}`;
+    if (payload.zen) message += `\n> ${escapeMarkdownV2(payload.zen)}`;
+    return message;
+});
+
+/**
+ * Links the account (user or organization) a GitHub App is installed on.
+ */
+function getInstallationAccountLink(installation) {
+    const account = installation?.account;
+    const login = escapeMarkdownV2(account?.login || "unknown account");
+    return account?.html_url
+        ? `[${login}](${escapeMarkdownV2Url(account.html_url)})`
+        : `\`${login}\``;
+}
+
+function formatRepositoryList(repositories = []) {
+    const names = repositories
+        .slice(0, MAX_LISTED_REPOSITORIES)
+        .map((repository) => `\`${escapeMarkdownV2(repository.full_name)}\``);
+    const remaining = repositories.length - names.length;
+    return `${names.join(", ")}${remaining > 0 ? ` and ${remaining} more` : ""}`;
+}
+
+registerFormatter("installation", ({ action, payload, userLink }) => {
+    const installation = payload.installation;
+    const app = `GitHub App \`${escapeMarkdownV2(
+        installation?.app_slug || String(installation?.app_id ?? "?")
+    )}\``;
+    const account = getInstallationAccountLink(installation);
+    switch (action) {
+        case "created": {
+            const scope =
+                installation?.repository_selection === "all"
+                    ? "all repositories"
+                    : formatRepositoryList(payload.repositories) ||
+                      "no repositories";
+            return `${userLink} 🧩 installed ${app} on ${account} \\(${scope}\\)`;
+        }
+        case "deleted":
+            return `${userLink} 🗑️ uninstalled ${app} from ${account}`;
+        case "suspend":
+            return `${userLink} ⏸️ suspended ${app} on ${account}`;
+        case "unsuspend":
+            return `${userLink} ▶️ unsuspended ${app} on ${account}`;
+        case "new_permissions_accepted":
+            return `${userLink} ✅ accepted new permissions for ${app} on ${account}`;
+        default:
+            return `${userLink} performed action \`${escapeMarkdownV2(
+                action
+            )}\` on ${app} installation on ${account}`;
+    }
+});
+
+registerFormatter(
+    "installation_repositories",
+    ({ action, payload, userLink }) => {
+        const installation = payload.installation;
+        const app = `GitHub App \`${escapeMarkdownV2(
+            installation?.app_slug || String(installation?.app_id ?? "?")
+        )}\``;
+        const account = getInstallationAccountLink(installation);
+        const added = payload.repositories_added || [];
+        const removed = payload.repositories_removed || [];
+        const count = (repositories) =>
+            `${repositories.length} repositor${
+                repositories.length === 1 ? "y" : "ies"
+            }`;
+
+        if (action === "added") {
+            return `${userLink} ➕ added ${count(added)} to ${app} on ${account}: ${formatRepositoryList(
+                added
+            )}`;
+        }
+        if (action === "removed") {
+            return `${userLink} ➖ removed ${count(removed)} from ${app} on ${account}: ${formatRepositoryList(
+                removed
+            )}`;
+        }
+        return `${userLink} performed action \`${escapeMarkdownV2(
+            action
+        )}\` on the repositories of ${app} on ${account}`;
+    }
+);
+
+registerFormatter("meta", ({ action, payload, repoContext }) => {
+    const hookId = escapeMarkdownV2(
+        String(payload.hook_id ?? payload.hook?.id ?? "?")
+    );
+    if (action === "deleted") {
+        return `🗑️ Webhook \`${hookId}\` was deleted ${repoContext}; no more events will arrive from it`;
+    }
+    return `Webhook \`${hookId}\` ${escapeMarkdownV2(action)} ${repoContext}`;
+});
+
+registerFormatter("github_app_authorization", ({ action, userLink }) => {
+    if (action === "revoked") {
+        return `${userLink} 🔑 revoked their authorization of the GitHub App`;
+    }
+    return `${userLink} performed action \`${escapeMarkdownV2(
+        action
+    )}\` on their GitHub App authorization`;
+});
+
+// --- MarkdownV2 validation ---
+
+// Characters that must be escaped outside of entities.
+const MARKDOWN_V2_RESERVED = "_*[]()~`>#+-=|{}.!";
+
+/**
+ * Parses a MarkdownV2 message the way Telegram does and repairs what it would
+ * reject or misrender: unescaped reserved characters and raw backslashes are
+ * escaped, unclosed or improperly nested entities have their markers escaped,
+ * and a link URL ends at its first unescaped `)`, as it does in Telegram.
+ * @param {string} text The MarkdownV2 message.
+ * @returns {{text: string, issues: string[]}} The repaired message and a
+ *     description of every problem found (empty if the message was valid).
+ */
+function validateMarkdownV2(text) {
+    const output = [];
+    const issues = [];
+    const stack = []; // Open entities: { type, marker, outputIndex, at }
+    const escapeAt = (index) =>
+        output[index]
+            .split("")
+            .map((char) => `\\${char}`)
+            .join("");
+
+    let i = 0;
+    let lineStart = true;
+    while (i < text.length) {
+        const char = text[i];
+        const code = char.charCodeAt(0);
+
+        if (char === "\\") {
+            // Telegram accepts any escaped ASCII character, but the formatters
+            // only ever escape reserved characters, so a backslash before
+            // anything else is a raw one that would swallow the next character.
+            const next = text[i + 1];
+            if (
+                next === undefined ||
+                !`\\${MARKDOWN_V2_RESERVED}`.includes(next)
+            ) {
+                issues.push(`Unescaped backslash at ${i}`);
+                output.push("\\\\");
+                i++;
             } else {
-                let verb = "commented on";
-                if (action === "edited") verb = "edited a comment on";
-                message = `${userLink} ${verb} ${targetLink} ${repoContext} \\([View Comment](${commentUrl})\\)`;
-                let body = escapeMarkdownV2(
-                    (comment.body || "").substring(0, 150)
-                );
-                if (comment.body && comment.body.length > 150)
-                    body += "\\.\\.\\.";
-                if (body) message += `> ${body}`;
+                output.push(char + next);
+                i += 2;
             }
-            break;
+            lineStart = false;
+            continue;
         }
-        case "commit_comment": {
-            const comment = payload.comment;
-            const action = payload.action;
-            const commitShaShort = escapeMarkdownV2(
-                comment?.commit_id?.substring(0, 7) || "unknown"
-            );
-            const commentUrl = comment?.html_url;
+        if (char === "\n") {
+            output.push(char);
+            i++;
+            lineStart = true;
+            continue;
+        }
+        if (char === ">" && lineStart) {
+            output.push(char);
+            i++;
+            lineStart = false;
+            continue;
+        }
+        lineStart = false;
 
-            if (!commentUrl || action === "deleted") {
-                message = `${userLink} ${escapeMarkdownV2(
-                    action
-                )} a comment on commit \`${commitShaShort}\` ${repoContext}`;
+        if (char === "`") {
+            const fence = text.startsWith("```", i) ? "```" : "`";
+            let end = -1;
+            for (let j = i + fence.length; j < text.length; j++) {
+                if (text[j] === "\\") j++;
+                else if (text.startsWith(fence, j)) {
+                    end = j;
+                    break;
+                }
+            }
+            if (end === -1) {
+                issues.push(`Unclosed code entity at ${i}`);
+                output.push(fence.replace(/`/g, "\\`"));
             } else {
-                let verb = "commented on";
-                if (action === "edited") verb = "edited a comment on";
-                message = `${userLink} ${verb} commit [\`${commitShaShort}\`](${commentUrl}) ${repoContext}`;
-                let body = escapeMarkdownV2(
-                    (comment.body || "").substring(0, 150)
-                );
-                if (comment.body && comment.body.length > 150)
-                    body += "\\.\\.\\.";
-                if (body) message += `> ${body}`;
+                output.push(text.substring(i, end + fence.length));
+                i = end;
             }
-            break;
+            i += fence.length;
+            continue;
         }
-        case "discussion": {
-            const discussion = payload.discussion;
-            const discussionTitle = escapeMarkdownV2(
-                discussion?.title || "discussion"
-            );
-            const discussionUrl = discussion?.html_url;
-            let verb = escapeMarkdownV2(action);
-            let details = "";
 
-            switch (action) {
-                case "created":
-                    verb = `💬 created discussion [${discussionTitle}](${discussionUrl})`;
-                    break;
-                case "edited":
-                    verb = `✏️ edited discussion [${discussionTitle}](${discussionUrl})`;
-                    break;
-                case "deleted":
-                    verb = `🗑️ deleted discussion \`${discussionTitle}\``;
-                    break;
-                case "pinned":
-                    verb = `📌 pinned discussion [${discussionTitle}](${discussionUrl})`;
-                    break;
-                case "unpinned":
-                    verb = `📌 unpinned discussion [${discussionTitle}](${discussionUrl})`;
-                    break;
-                case "locked":
-                    verb = `🔒 locked discussion [${discussionTitle}](${discussionUrl})`;
-                    break;
-                case "unlocked":
-                    verb = `🔓 unlocked discussion [${discussionTitle}](${discussionUrl})`;
-                    break;
-                case "transferred":
-                    verb = `↔️ transferred discussion [${discussionTitle}](${discussionUrl})`;
-                    break;
-                case "category_changed":
-                    verb = `🔄 changed category for discussion [${discussionTitle}](${discussionUrl})`;
-                    break;
-                case "answered":
-                    verb = `✅ marked discussion [${discussionTitle}](${discussionUrl}) as answered`;
-                    break;
-                case "unanswered":
-                    verb = `❓ marked discussion [${discussionTitle}](${discussionUrl}) as unanswered`;
-                    break;
-                case "labeled":
-                    details = `label \`${escapeMarkdownV2(
-                        payload.label?.name || "?"
-                    )}\` to`;
-                    verb = `added ${details} discussion [${discussionTitle}](${discussionUrl})`;
-                    break;
-                case "unlabeled":
-                    details = `label \`${escapeMarkdownV2(
-                        payload.label?.name || "?"
-                    )}\` from`;
-                    verb = `removed ${details} discussion [${discussionTitle}](${discussionUrl})`;
+        if (char === "[") {
+            stack.push({
+                type: "link",
+                marker: "[",
+                outputIndex: output.length,
+                at: i,
+            });
+            output.push(char);
+            i++;
+            continue;
+        }
+        if (char === "]" && stack[stack.length - 1]?.type === "link") {
+            const link = stack.pop();
+            if (text[i + 1] !== "(") {
+                issues.push(`Link text at ${link.at} has no URL`);
+                output[link.outputIndex] = escapeAt(link.outputIndex);
+                output.push("\\]");
+                i++;
+                continue;
+            }
+            // Telegram ends the URL at the first unescaped ")".
+            let url = "";
+            let j = i + 2;
+            for (; j < text.length; j++) {
+                const urlChar = text[j];
+                if (urlChar === "\\" && j + 1 < text.length) {
+                    url += urlChar + text[++j];
+                } else if (urlChar === ")") {
                     break;
-                default:
-                    verb = `performed action \`${verb}\` on discussion [${discussionTitle}](${discussionUrl})`;
+                } else {
+                    url += urlChar;
+                }
             }
-            message = `${userLink} ${verb} ${repoContext}`;
-            break;
+            if (j >= text.length) {
+                issues.push(`Unclosed link URL at ${i + 1}`);
+                output[link.outputIndex] = escapeAt(link.outputIndex);
+                output.push("\\]");
+                i++;
+                continue;
+            }
+            output.push(`](${url})`);
+            i = j + 1;
+            continue;
         }
-        case "discussion_comment": {
-            const comment = payload.comment;
-            const discussion = payload.discussion;
-            const commentUrl = comment?.html_url;
-            const discussionLink = discussion?.html_url
-                ? `discussion [${escapeMarkdownV2(discussion.title)}](${
-                      discussion.html_url
-                  })`
-                : "a discussion";
-
-            if (!commentUrl || action === "deleted") {
-                message = `${userLink} ${escapeMarkdownV2(
-                    action
-                )} a comment on ${discussionLink} ${repoContext}`;
-            } else {
-                let verb = "commented on";
-                if (action === "edited") verb = "edited a comment on";
-                message = `${userLink} ${verb} ${discussionLink} ${repoContext} \\([View Comment](${commentUrl})\\)`;
-                let body = escapeMarkdownV2(
-                    (comment.body || "").substring(0, 150)
+
+        const entity = MARKDOWN_V2_MARKERS.find(({ marker }) =>
+            text.startsWith(marker, i)
+        );
+        if (entity) {
+            const top = stack[stack.length - 1];
+            if (top?.type === entity.type) {
+                stack.pop();
+                output.push(entity.marker);
+            } else if (stack.some((open) => open.type === entity.type)) {
+                issues.push(`Improperly nested "${entity.marker}" at ${i}`);
+                output.push(
+                    entity.marker.replace(/./g, (marker) => `\\${marker}`)
                 );
-                if (comment.body && comment.body.length > 150)
-                    body += "\\.\\.\\.";
-                if (body) message += `> ${body}`;
+            } else {
+                stack.push({
+                    type: entity.type,
+                    marker: entity.marker,
+                    outputIndex: output.length,
+                    at: i,
+                });
+                output.push(entity.marker);
             }
-            break;
+            i += entity.marker.length;
+            continue;
         }
-        case "label": {
-            const labelName = escapeMarkdownV2(payload.label?.name || "label");
-            let verb = escapeMarkdownV2(action);
-            switch (action) {
-                case "created":
-                    verb = `🏷️ created label \`${labelName}\``;
-                    break;
-                case "edited":
-                    verb = `✏️ edited label \`${labelName}\``;
-                    break;
-                case "deleted":
-                    verb = `🗑️ deleted label \`${labelName}\``;
-                    break;
-                default:
-                    verb = `performed action \`${verb}\` on label \`${labelName}\``;
-            }
-            message = `${userLink} ${verb} ${repoContext}`;
-            break;
+
+        if (code >= 1 && code <= 126 && MARKDOWN_V2_RESERVED.includes(char)) {
+            issues.push(`Unescaped "${char}" at ${i}`);
+            output.push(`\\${char}`);
+        } else {
+            output.push(char);
         }
+        i++;
+    }
 
-        // == Security & Dependencies ==
-        case "dependabot_alert": {
-            const alert = payload.alert;
-            const state = alert?.state; 
-            const severity = escapeMarkdownV2(
-                alert?.security_advisory?.severity || "?"
-            ); // low, medium, high, critical
-            const packageName = escapeMarkdownV2(
-                alert?.security_vulnerability?.package?.name || "dependency"
-            );
-            const alertUrl = alert?.html_url;
-            let verb = escapeMarkdownV2(action);
-            let icon = "⚠️";
+    for (const open of stack) {
+        issues.push(`Unclosed "${open.marker}" entity at ${open.at}`);
+        output[open.outputIndex] = escapeAt(open.outputIndex);
+    }
+    return { text: output.join(""), issues };
+}
 
-            switch (action) {
-                case "created":
-                   verb = `created Dependabot alert \\(\`${severity}\`\\) for \`${packageName}\``;
-                    break;
-                case "fixed":
-                    verb = `✅ fixed Dependabot alert for \`${packageName}\``;
-                    icon = "✅";
-                    break;
-                case "dismissed":
-                    verb = `🚫 dismissed Dependabot alert for \`${packageName}\``;
-                    icon = "🚫";
-                    break;
-                case "reopened":
-                    verb = `reopened Dependabot alert for \`${packageName}\``;
-                    break;
-                case "auto_dismissed":
-                    verb = `🚫 auto\\-dismissed Dependabot alert for \`${packageName}\``;
-                    icon = "🚫";
-                    break;
-                case "auto_reopened":
-                    verb = `reopened Dependabot alert for \`${packageName}\``;
-                    break;
-                case "reintroduced":
-                    verb = `🔄 reintroduced Dependabot alert for \`${packageName}\``;
-                    break;
-                default:
-                    verb = `performed action \`${verb}\` on Dependabot alert for \`${packageName}\``;
+/**
+ * Repairs a MarkdownV2 message before it is sent, logging any problems so
+ * the formatter that produced them can be fixed.
+ */
+function sanitizeMarkdownV2(text) {
+    const { text: repaired, issues } = validateMarkdownV2(text);
+    if (issues.length > 0) {
+        console.warn(
+            `Repaired ${issues.length} MarkdownV2 issue(s): ${issues.join(
+                "; "
+            )}. Original message: ${text}`
+        );
+    }
+    return repaired;
+}
+
+// --- Message length management ---
+
+/**
+ * Finds the last position at or before `limit` where a MarkdownV2 message
+ * can be cut without breaking an escape sequence or an entity. Prefers line
+ * breaks, then spaces.
+ * @returns {number} The cut position, or `limit` if no safe position exists.
+ */
+function findSafeCut(text, limit) {
+    let lastNewline = -1;
+    let lastSpace = -1;
+    let lastSafe = -1;
+    let inCode = false;
+    let linkDepth = 0;
+    let inLinkUrl = false;
+    const openMarkers = new Set();
+    for (let i = 0; i < text.length && i <= limit; i++) {
+        const char = text[i];
+        const isSafe =
+            !inCode && linkDepth === 0 && !inLinkUrl && openMarkers.size === 0;
+        if (isSafe) {
+            lastSafe = i;
+            if (char === "\n") lastNewline = i;
+            else if (char === " ") lastSpace = i;
+        }
+        if (char === "\\") {
+            i++; // Skip the escaped character
+        } else if (inLinkUrl) {
+            if (char === ")") inLinkUrl = false;
+        } else if (char === "`") {
+            // inCode holds the fence that closes the entity (` or ```).
+            const fence = text.startsWith("```", i) ? "```" : "`";
+            if (!inCode) {
+                inCode = fence;
+                i += fence.length - 1;
+            } else if (text.startsWith(inCode, i)) {
+                i += inCode.length - 1;
+                inCode = false;
             }
-            message = `${userLink} ${icon} ${verb} ${repoContext} ${
-                alertUrl ? `\\([Details](${alertUrl})\\)` : ""
-            }`;
-            break;
+        } else if (inCode) {
+            continue;
+        } else if (char === "[") {
+            linkDepth++;
+        } else if (char === "]" && linkDepth > 0) {
+            linkDepth--;
+            if (text[i + 1] === "(") {
+                inLinkUrl = true;
+                i++;
+            }
+        } else if ("*_~|".includes(char)) {
+            if (openMarkers.has(char)) openMarkers.delete(char);
+            else openMarkers.add(char);
         }
-        case "code_scanning_alert": {
-            const alert = payload.alert;
-            const ruleDesc = escapeMarkdownV2(
-                alert?.rule?.description || "Code scanning rule"
-            );
-            const alertUrl = alert?.html_url;
-            const alertNumber = alert?.number;
-            let verb = escapeMarkdownV2(action);
-            let icon = "🛡️";
+    }
+    if (lastNewline > 0) return lastNewline;
+    if (lastSpace > 0) return lastSpace;
+    return lastSafe > 0 ? lastSafe : limit;
+}
 
-            switch (action) {
-                case "created":
-                    verb = `found new alert [\\#${alertNumber}](${alertUrl}): ${ruleDesc}`;
-                    break;
-                case "fixed":
-                    verb = `✅ fixed alert [\\#${alertNumber}](${alertUrl}): ${ruleDesc}`;
-                    icon = "✅";
-                    break;
-                case "closed_by_user":
-                    verb = `🚫 closed alert [\\#${alertNumber}](${alertUrl}) as "${escapeMarkdownV2(
-                        alert.dismissed_reason || "?"
-                    )}"`;
-                    icon = "🚫";
-                    break;
-                case "reopened_by_user":
-                    verb = ` reopened alert [\\#${alertNumber}](${alertUrl}): ${ruleDesc}`;
-                    break;
-                case "reopened":
-                    verb = ` reopened alert [\\#${alertNumber}](${alertUrl}): ${ruleDesc}`;
-                    break;
-                case "appeared_in_branch":
-                    verb = `alert [\\#${alertNumber}](${alertUrl}) appeared in branch \`${escapeMarkdownV2(
-                        payload.ref || "?"
-                    )}\``;
-                    break;
-                default:
-                    verb = `performed action \`${verb}\` on alert [\\#${alertNumber}](${alertUrl}): ${ruleDesc}`;
+/**
+ * Returns the opening of the code entity a MarkdownV2 text ends inside of
+ * ("`", or "```" with its language line), or null if every code entity is
+ * closed.
+ */
+function getOpenCodeEntity(text) {
+    let open = null;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === "\\") {
+            i++; // Skip the escaped character
+        } else if (text[i] !== "`") {
+            continue;
+        } else if (open) {
+            const fence = open === "`" ? "`" : "```";
+            if (text.startsWith(fence, i)) {
+                open = null;
+                i += fence.length - 1;
             }
-            message = `${
-                userLink ||
-                escapeMarkdownV2(
-                    payload.commit_oid?.substring(0, 7) || "Code Scanning"
-                )
-            } ${icon} ${verb} ${repoContext}`;
-            break;
+        } else if (text.startsWith("```", i)) {
+            const lineEnd = text.indexOf("\n", i);
+            open =
+                lineEnd === -1
+                    ? text.substring(i)
+                    : text.substring(i, lineEnd + 1);
+            i += open.length - 1;
+        } else {
+            open = "`";
         }
+    }
+    return open;
+}
 
-        case "fork": {
-            const forkeeName = escapeMarkdownV2(
-                payload.forkee?.full_name || "unknown"
-            );
-            const forkeeUrl = payload.forkee?.html_url;
-            const forkeeLink = forkeeUrl
-                ? `[${forkeeName}](${forkeeUrl})`
-                : forkeeName;
-            message = `${userLink} 🍴 forked ${repoLink} to ${forkeeLink}`;
-            break;
-        }
-        case "star": {
-            if (action === "created")
-                message = `${userLink} 🌟 starred ${repoLink}`;
-            else if (action === "deleted")
-                message = `${userLink} 💔 unstarred ${repoLink}`;
-            else message = "";
-            break;
-        }
-        case "watch": {
-            if (action === "started")
-                message = `${userLink} 👀 started watching ${repoLink}`;
-            else message = "";
-            break;
+/**
+ * Splits a MarkdownV2 message into parts that fit Telegram's length limit.
+ * Every part of a split message ends with a "(n/total)" marker. A code or
+ * pre entity longer than a part is closed at the cut and reopened in the
+ * next part, so every part stays valid MarkdownV2.
+ * @returns {string[]}
+ */
+function splitMessage(text, limit = TELEGRAM_MAX_MESSAGE_LENGTH) {
+    if (text.length <= limit) return [text];
+    const partLimit = limit - SPLIT_MARKER_RESERVE;
+    const parts = [];
+    let rest = text;
+    while (rest.length > partLimit) {
+        let cut = findSafeCut(rest, partLimit);
+        const open = getOpenCodeEntity(rest.substring(0, cut));
+        if (!open) {
+            parts.push(rest.substring(0, cut).trimEnd());
+            rest = rest.substring(cut).replace(/^[ \n]+/, "");
+            continue;
         }
-        case "release": {
-            const release = payload.release;
-            const tagName = escapeMarkdownV2(release?.tag_name || "tag?");
-            const releaseName = escapeMarkdownV2(
-                release?.name || tagName || "release?"
-            );
-            const releaseUrl = release?.html_url;
+        const close = open === "`" ? "`" : "\n```";
+        cut = Math.min(cut, partLimit - close.length);
+        // Never separate a backslash from the character it escapes.
+        while (/(^|[^\\])(\\\\)*\\$/.test(rest.substring(0, cut))) cut--;
+        parts.push(rest.substring(0, cut) + close);
+        rest = open + rest.substring(cut);
+    }
+    if (rest) parts.push(rest.trimEnd());
+    return parts.map(
+        (part, index) => `${part}\n\\(${index + 1}/${parts.length}\\)`
+    );
+}
 
-            if (!releaseUrl && action !== "deleted") {
-                message = `${userLink} performed action \`${escapeMarkdownV2(
-                    action
-                )}\` on release \`${releaseName}\` ${repoContext}`;
+/**
+ * Truncates a MarkdownV2 message to Telegram's length limit at a safe
+ * position, for messages that must stay a single message (edits).
+ */
+function truncateMessage(text, limit = TELEGRAM_MAX_MESSAGE_LENGTH) {
+    if (text.length <= limit) return text;
+    const ellipsis = "\\.\\.\\.";
+    const cut = findSafeCut(text, limit - ellipsis.length);
+    return text.substring(0, cut).trimEnd() + ellipsis;
+}
+
+// --- MarkdownV2 fallback rendering ---
+
+// Entity markers in the order they are tried (longest first).
+const MARKDOWN_V2_MARKERS = [
+    { marker: "||", type: "spoiler" },
+    { marker: "__", type: "underline" },
+    { marker: "*", type: "bold" },
+    { marker: "_", type: "italic" },
+    { marker: "~", type: "strikethrough" },
+];
+
+/**
+ * Parses a MarkdownV2 message into a node tree, tolerating the mistakes that
+ * make Telegram reject it: unclosed entities stay flagged as unclosed and
+ * stray markers become text.
+ * @returns {{type: string, children: object[]}}
+ */
+function parseMarkdownV2(text) {
+    const root = { type: "root", children: [], closed: true };
+    const stack = [root];
+    const top = () => stack[stack.length - 1];
+    const pushText = (value) => {
+        const children = top().children;
+        const last = children[children.length - 1];
+        if (last?.type === "text") last.value += value;
+        else children.push({ type: "text", value });
+    };
+    const open = (type, marker) => {
+        const node = { type, marker, children: [], closed: false };
+        top().children.push(node);
+        stack.push(node);
+        return node;
+    };
+    const readUntil = (start, terminator) => {
+        // Reads up to an unescaped terminator, resolving `\x` escapes.
+        let value = "";
+        for (let j = start; j < text.length; j++) {
+            if (text[j] === "\\" && j + 1 < text.length) {
+                value += text[++j];
+            } else if (text.startsWith(terminator, j)) {
+                return { value, end: j + terminator.length };
             } else {
-                let actionText = `performed action \`${escapeMarkdownV2(
-                    action
-                )}\` on`;
-                let subject = `release [${releaseName}](${releaseUrl || "\\#"})`;
-                switch (action) {
-                    case "published":
-                        actionText = `📦 published`;
-                        break;
-                    case "unpublished":
-                        actionText = `unpublished`;
-                        break;
-                    case "created":
-                        actionText = `created release draft`;
-                        break;
-                    case "edited":
-                        actionText = `edited`;
-                        break;
-                    case "deleted":
-                        actionText = `deleted`;
-                        subject = `release \`${releaseName}\``;
-                        break;
-                    case "prereleased":
-                        actionText = `published pre-release`;
-                        break;
-                    case "released":
-                        actionText = `published release`;
-                        break;
-                }
-                message = `${userLink} ${actionText} ${subject} ${repoContext}`;
-
-                if (
-                    [
-                        "published",
-                        "created",
-                        "prereleased",
-                        "released",
-                    ].includes(action) &&
-                    release?.body
-                ) {
-                    let notes = escapeMarkdownV2(
-                        release.body.substring(0, 200)
-                    );
-                    if (release.body.length > 200) notes += "\\.\\.\\.";
-                    if (notes) message += `\\n> ${notes}`;
-                }
+                value += text[j];
             }
-            break;
         }
-        case "package": {
-            const pkg = payload.package;
-            const pkgVersion = escapeMarkdownV2(
-                pkg?.package_version?.version || "?"
+        return null;
+    };
+
+    let i = 0;
+    let lineStart = true;
+    while (i < text.length) {
+        const char = text[i];
+        if (char === "\\" && i + 1 < text.length) {
+            pushText(text[i + 1]);
+            i += 2;
+        } else if (char === "\n") {
+            // Quotes end with their line; entities never span a quote.
+            const quoteIndex = stack.findIndex((node) => node.type === "quote");
+            if (quoteIndex !== -1) {
+                stack[quoteIndex].closed = true;
+                stack.length = quoteIndex;
+            }
+            pushText("\n");
+            i++;
+            lineStart = true;
+            continue;
+        } else if (char === ">" && lineStart) {
+            open("quote", ">").closed = true;
+            i++;
+        } else if (char === "`") {
+            const isPre = text.startsWith("```", i);
+            const fence = isPre ? "```" : "`";
+            const content = readUntil(i + fence.length, fence);
+            if (content) {
+                top().children.push({
+                    type: isPre ? "pre" : "code",
+                    value: content.value,
+                });
+                i = content.end;
+            } else {
+                pushText(fence);
+                i += fence.length;
+            }
+        } else if (char === "[") {
+            open("link", "[");
+            i++;
+        } else if (char === "]" && top().type === "link") {
+            const url = text[i + 1] === "(" ? readUntil(i + 2, ")") : null;
+            if (url) {
+                top().url = url.value;
+                top().closed = true;
+                stack.pop();
+                i = url.end;
+            } else {
+                pushText("]");
+                i++;
+            }
+        } else {
+            const entity = MARKDOWN_V2_MARKERS.find(({ marker }) =>
+                text.startsWith(marker, i)
             );
-            const pkgName = escapeMarkdownV2(pkg?.name || "package");
-            const pkgType = escapeMarkdownV2(pkg?.package_type || "?"); // npm, maven, docker, nuget, rubygems, container
-            const pkgUrl = pkg?.html_url;
-            let verb = escapeMarkdownV2(action);
-            if (action === "published")
-                verb = `📦 published ${pkgType} package \`${pkgName}\` version \`${pkgVersion}\``;
-            if (action === "updated")
-                verb = `🔄 updated ${pkgType} package \`${pkgName}\``; // Might not include version
-
-            message = `${userLink} ${verb} ${repoContext} ${
-                pkgUrl ? `\\([View Package](${pkgUrl})\\)` : ""
-            }`;
-            break;
-        }
-        case "gollum": {
-            const pages = payload.pages || [];
-            const pageCount = pages.length;
-            if (pageCount > 0) {
-                const firstPage = pages[0];
-                const pageName = escapeMarkdownV2(firstPage.page_name || "?");
-                const pageAction = escapeMarkdownV2(
-                    firstPage.action || "updated"
-                );
-                const pageUrl = firstPage.html_url;
-                message = `${userLink} wiki page \`${pageName}\` ${pageAction} ${
-                    pageUrl ? `\\([View Page](${pageUrl})\\) ` : ""
-                }${repoContext}`;
-                if (pageCount > 1)
-                    message += ` (and ${pageCount - 1} other${
-                        pageCount > 2 ? "s" : ""
-                    })`;
+            if (!entity) {
+                pushText(char);
+            } else if (top().type === entity.type) {
+                top().closed = true;
+                stack.pop();
+            } else if (stack.some((node) => node.type === entity.type)) {
+                pushText(entity.marker); // Would interleave entities
             } else {
-                message = `${userLink} updated the wiki ${repoContext}`; // Fallback
+                open(entity.type, entity.marker);
             }
-            break;
+            i += entity ? entity.marker.length : 1;
         }
-        case "team": {
-            const teamName = escapeMarkdownV2(payload.team?.name || "team");
-            const teamUrl = payload.team?.html_url;
-            const teamLink = teamUrl
-                ? `[${teamName}](${teamUrl})`
-                : `\`${teamName}\``;
-            let verb = escapeMarkdownV2(action);
-            switch (action) {
-                case "created":
-                    verb = `created team ${teamLink}`;
-                    break;
-                case "deleted":
-                    verb = `deleted team \`${teamName}\``;
-                    break;
-                case "edited":
-                    verb = `✏️ edited team ${teamLink}`;
-                    break;
-                case "added_to_repository":
-                    verb = `added ${repoLink} to team ${teamLink}`;
-                    break;
-                case "removed_from_repository":
-                    verb = `removed ${repoLink} from team ${teamLink}`;
-                    break;
-                default:
-                    verb = `performed action \`${verb}\` regarding team ${teamLink}`;
+        lineStart = false;
+    }
+    return root;
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+const HTML_TAGS = {
+    bold: "b",
+    italic: "i",
+    underline: "u",
+    strikethrough: "s",
+    spoiler: "tg-spoiler",
+    quote: "blockquote",
+};
+
+function renderHtmlNode(node) {
+    if (node.type === "text") return escapeHtml(node.value);
+    if (node.type === "code") return `<code>${escapeHtml(node.value)}</code>`;
+    if (node.type === "pre") return `<pre>${escapeHtml(node.value)}</pre>`;
+    const content = node.children.map(renderHtmlNode).join("");
+    if (!node.closed) return escapeHtml(node.marker) + content;
+    if (node.type === "link") {
+        return `<a href="${escapeHtml(node.url)}">${content}</a>`;
+    }
+    const tag = HTML_TAGS[node.type];
+    return tag ? `<${tag}>${content}</${tag}>` : content;
+}
+
+function renderPlainTextNode(node) {
+    if (node.type === "text" || node.type === "code" || node.type === "pre") {
+        return node.value;
+    }
+    const content = node.children.map(renderPlainTextNode).join("");
+    if (!node.closed) return node.marker + content;
+    if (node.type === "quote") return `>${content}`;
+    if (node.type === "link" && node.url && node.url !== content) {
+        return `${content} (${node.url})`;
+    }
+    return content;
+}
+
+/**
+ * Renders a MarkdownV2 message as Telegram HTML.
+ */
+function markdownV2ToHtml(text) {
+    return renderHtmlNode(parseMarkdownV2(text));
+}
+
+/**
+ * Renders a MarkdownV2 message as plain text with formatting stripped.
+ */
+function markdownV2ToPlainText(text) {
+    return renderPlainTextNode(parseMarkdownV2(text));
+}
+
+function isEntityParseError(response) {
+    return (
+        response.status === 400 &&
+        /can't parse entities/i.test(response.description || "")
+    );
+}
+
+/**
+ * Calls a message-sending Telegram method with MarkdownV2 text. If Telegram
+ * cannot parse the entities, retries with an HTML rendering of the same
+ * message and finally with plain text, logging which fallback was used.
+ * @returns {Promise<object>} The API response, plus the `params` last sent.
+ */
+async function callTelegramWithFormattingFallback(method, params, env) {
+    let response = await callTelegramApi(method, params, env);
+    if (!isEntityParseError(response)) return { ...response, params };
+
+    const fallbacks = [
+        {
+            name: "HTML",
+            params: {
+                ...params,
+                text: markdownV2ToHtml(params.text),
+                parse_mode: "HTML",
+            },
+        },
+        {
+            name: "plain text",
+            params: {
+                ...params,
+                text: markdownV2ToPlainText(params.text),
+                parse_mode: undefined,
+            },
+        },
+    ];
+    let format = "MarkdownV2";
+    for (const fallback of fallbacks) {
+        console.warn(
+            `Telegram rejected ${format} for ${method} (${response.description}). Retrying with ${fallback.name} fallback. Message: ${params.text}`
+        );
+        format = fallback.name;
+        response = await callTelegramApi(method, fallback.params, env);
+        if (!isEntityParseError(response)) {
+            if (response.ok) {
+                console.warn(
+                    `Telegram ${method} succeeded using the ${fallback.name} fallback; the MarkdownV2 formatter needs fixing.`
+                );
             }
-            message = `Team action: ${verb}`;
-            break;
+            return { ...response, params: fallback.params };
         }
+    }
+    return { ...response, params: fallbacks[fallbacks.length - 1].params };
+}
 
-        default:
-            console.log(
-                `-> Unsupported GitHub event type received: ${eventType}`
+/**
+ * Calls a Telegram Bot API method, retrying network errors, 5xx responses and
+ * 429 rate limits with exponential backoff (honouring `retry_after`).
+ * @returns {Promise<{ok: boolean, result?: any, status?: number, description?: string, attempts: number}>}
+ */
+async function callTelegramApi(method, params, env) {
+    const maxAttempts = getTelegramMaxAttempts(env);
+    let response;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        response = await requestTelegramApi(method, params, env);
+        response.attempts = attempt;
+        const retryable =
+            response.status === undefined ||
+            response.status === 429 ||
+            response.status >= 500;
+        if (response.ok || !retryable || attempt === maxAttempts) break;
+
+        const delayMs =
+            response.retryAfter !== undefined
+                ? response.retryAfter * 1000
+                : TELEGRAM_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        if (delayMs > TELEGRAM_MAX_RETRY_DELAY_MS) {
+            // Waiting longer would outlive the worker's waitUntil budget.
+            console.warn(
+                `Telegram ${method} asked to wait ${delayMs}ms; giving up after attempt ${attempt}.`
             );
-            message = "";
             break;
+        }
+        console.warn(
+            `Telegram ${method} attempt ${attempt}/${maxAttempts} failed (${response.description}). Retrying in ${delayMs}ms.`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+    return response;
+}
+
+function getTelegramMaxAttempts(env) {
+    const attempts = parseInt(env.COS_TELEGRAM_MAX_ATTEMPTS, 10);
+    return Number.isFinite(attempts) && attempts > 0
+        ? attempts
+        : DEFAULT_TELEGRAM_MAX_ATTEMPTS;
+}
+
+async function requestTelegramApi(method, params, env) {
+    const telegramApiUrl = `https://api.telegram.org/bot${env.COS_TELEGRAM_BOT_TOKEN}/${method}`;
+    try {
+        const response = await fetch(telegramApiUrl, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(params),
+        });
+        const errorOrData = await response.text(); // Read body as text for detailed error info
+        let data = {};
+        try {
+            data = JSON.parse(errorOrData);
+        } catch (e) {
+            data = { description: errorOrData };
+        }
+        if (!response.ok || !data.ok) {
+            return {
+                ok: false,
+                status: response.status,
+                retryAfter: data.parameters?.retry_after,
+                description: `${response.status} ${response.statusText}. Response: ${errorOrData}`,
+            };
+        }
+        return { ok: true, status: response.status, result: data.result };
+    } catch (error) {
+        return {
+            ok: false,
+            description: `network/fetch error: ${error?.message || error}`,
+        };
     }
+}
+
+// --- Dead-letter storage ---
+
+/**
+ * Stores a Telegram request that could not be delivered so it can be
+ * listed and replayed through the admin API.
+ */
+async function storeDeadLetter(method, params, response, env) {
+    const kv = env.COS_BRIDGE_KV;
+    if (!kv) {
+        console.error(
+            `Telegram ${method} failed and COS_BRIDGE_KV is not bound; the message is lost.`
+        );
+        return;
+    }
+    const failedAt = new Date().toISOString();
+    const id = `${Date.now()}-${crypto.randomUUID()}`;
+    try {
+        await kv.put(
+            `dead-letter:${id}`,
+            JSON.stringify({
+                method,
+                params,
+                error: response.description,
+                attempts: response.attempts,
+                failed_at: failedAt,
+                tenant: env.COS_TENANT_ID,
+            }),
+            { expirationTtl: DEAD_LETTER_TTL_SECONDS }
+        );
+        console.warn(`Telegram ${method} dead-lettered as ${id}.`);
+    } catch (error) {
+        console.error("Failed to store dead letter in KV:", error);
+    }
+}
+
+async function listDeadLetters(env) {
+    const deadLetters = [];
+    let cursor;
+    do {
+        const page = await env.COS_BRIDGE_KV.list({
+            prefix: "dead-letter:",
+            cursor,
+        });
+        for (const key of page.keys) {
+            const entry = await env.COS_BRIDGE_KV.get(key.name, "json");
+            if (entry) {
+                deadLetters.push({
+                    id: key.name.substring("dead-letter:".length),
+                    ...entry,
+                });
+            }
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return deadLetters;
+}
 
-    return message.trim();
+/**
+ * Re-sends a dead-lettered request. It is removed from storage on success
+ * and kept (with the latest error) on failure.
+ * @returns {Promise<boolean>}
+ */
+async function replayDeadLetter(deadLetter, env) {
+    const key = `dead-letter:${deadLetter.id}`;
+    const tenantEnv = deadLetter.tenant
+        ? await resolveTenantEnv(deadLetter.tenant, env)
+        : env;
+    const response = tenantEnv
+        ? await callTelegramApi(deadLetter.method, deadLetter.params, tenantEnv)
+        : {
+              ok: false,
+              description: `Unknown tenant "${deadLetter.tenant}"`,
+              attempts: 0,
+          };
+    if (response.ok) {
+        await env.COS_BRIDGE_KV.delete(key);
+        console.log(`Dead letter ${deadLetter.id} replayed successfully.`);
+        return true;
+    }
+    const { id, ...entry } = deadLetter;
+    await env.COS_BRIDGE_KV.put(
+        key,
+        JSON.stringify({
+            ...entry,
+            error: response.description,
+            attempts: (entry.attempts || 0) + response.attempts,
+        }),
+        { expirationTtl: DEAD_LETTER_TTL_SECONDS }
+    );
+    console.error(
+        `Replaying dead letter ${id} failed: ${response.description}`
+    );
+    return false;
 }
 
-async function sendTelegramMessage(text, env) {
+/**
+ * Sends a message to a Telegram target.
+ * @param {object} [options] `replyToMessageId` sends the message as a reply;
+ *     `replyMarkup` attaches an inline keyboard to the (last) message;
+ *     `pin` pins the (first) message in the chat.
+ * @returns {Promise<number|undefined>} The sent message's ID, if successful.
+ */
+async function sendTelegramMessage(
+    text,
+    env,
+    target = getDefaultTarget(env),
+    options = {}
+) {
     if (!text) {
         console.log("Skipping empty message send to Telegram.");
         return;
     }
     // Check for essential secrets
-    if (
-        !env.COS_TELEGRAM_BOT_TOKEN ||
-        !env.COS_TELEGRAM_CHAT_ID ||
-        !env.COS_TELEGRAM_MESSAGE_THREAD_ID
-    ) {
+    if (!env.COS_TELEGRAM_BOT_TOKEN || !target?.chat_id) {
         console.error(
-            "Telegram secrets (TOKEN, CHAT_ID, TOPIC_ID) missing or incomplete in worker environment."
+            "Telegram secrets (TOKEN, CHAT_ID) missing or incomplete in worker environment or routing target."
         );
         return;
     }
 
-    const telegramApiUrl = `https://api.telegram.org/bot${env.COS_TELEGRAM_BOT_TOKEN}/sendMessage`;
-    const apiPayload = {
-        chat_id: env.COS_TELEGRAM_CHAT_ID,
-        message_thread_id: env.COS_TELEGRAM_MESSAGE_THREAD_ID,
-        text: text,
+    // Long messages are sent as numbered parts; the first part's ID is
+    // returned and only the first part is sent as a reply.
+    const parts = splitMessage(sanitizeMarkdownV2(text));
+    let firstMessageId;
+    for (const [index, part] of parts.entries()) {
+        const apiPayload = {
+            chat_id: target.chat_id,
+            text: part,
+            parse_mode: "MarkdownV2",
+            disable_web_page_preview: true,
+        };
+        if (target.thread_id) apiPayload.message_thread_id = target.thread_id;
+        if (options.replyToMessageId && index === 0) {
+            apiPayload.reply_to_message_id = options.replyToMessageId;
+            apiPayload.allow_sending_without_reply = true;
+        }
+        if (options.replyMarkup && index === parts.length - 1) {
+            apiPayload.reply_markup = options.replyMarkup;
+        }
+
+        const response = await callTelegramWithFormattingFallback(
+            "sendMessage",
+            apiPayload,
+            env
+        );
+        if (!response.ok) {
+            console.error(
+                `Telegram API Error after ${response.attempts} attempt(s): ${response.description}. ChatID: ${target.chat_id}, TopicID: ${target.thread_id}.`
+            );
+            await storeDeadLetter(
+                "sendMessage",
+                response.params,
+                response,
+                env
+            );
+            continue;
+        }
+        console.log(
+            `Message${
+                parts.length > 1 ? ` part ${index + 1}/${parts.length}` : ""
+            } sent successfully to Telegram chat ${target.chat_id} topic ${
+                target.thread_id
+            }.`
+        );
+        firstMessageId ??= response.result?.message_id;
+    }
+    if (options.pin && firstMessageId) {
+        await pinTelegramMessage(env, target, firstMessageId);
+    }
+    return firstMessageId;
+}
+
+/**
+ * Pins a sent message. Pinning needs the bot to be allowed to pin messages
+ * in the chat; a failure is only logged since the message itself was sent.
+ */
+async function pinTelegramMessage(env, target, messageId) {
+    const response = await callTelegramApi(
+        "pinChatMessage",
+        { chat_id: target.chat_id, message_id: messageId },
+        env
+    );
+    if (!response.ok) {
+        console.warn(
+            `Failed to pin message ${messageId} in Telegram chat ${target.chat_id}: ${response.description}`
+        );
+    }
+}
+
+/**
+ * Replaces the text (and inline keyboard) of a previously sent message.
+ * @returns {Promise<boolean>} True if the message now shows the given text.
+ */
+async function editTelegramMessage(text, env, target, messageId, replyMarkup) {
+    const params = {
+        chat_id: target.chat_id,
+        message_id: messageId,
+        text: truncateMessage(sanitizeMarkdownV2(text)),
         parse_mode: "MarkdownV2",
         disable_web_page_preview: true,
     };
+    if (replyMarkup) params.reply_markup = replyMarkup;
+    const response = await callTelegramWithFormattingFallback(
+        "editMessageText",
+        params,
+        env
+    );
+    if (response.ok) {
+        console.log(
+            `Message ${messageId} edited successfully in Telegram chat ${target.chat_id}.`
+        );
+        return true;
+    }
+    if (response.description?.includes("message is not modified")) {
+        return true;
+    }
+    console.error(
+        `Telegram API Error while editing message ${messageId}: ${response.description}. ChatID: ${target.chat_id}.`
+    );
+    return false;
+}
 
-    try {
-        const response = await fetch(telegramApiUrl, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(apiPayload),
-        });
+/**
+ * Returns the run/job/check object of a CI status event, if any.
+ */
+function getStatusSubject(eventType, payload) {
+    switch (eventType) {
+        case "workflow_run":
+            return payload.workflow_run;
+        case "workflow_job":
+            return payload.workflow_job;
+        case "check_run":
+            return payload.check_run;
+        case "check_suite":
+            return payload.check_suite;
+        default:
+            return null;
+    }
+}
 
-        if (!response.ok) {
-            const errorData = await response.text(); // Read body as text for detailed error info
+/**
+ * Returns the KV key under which the status message for a CI run is stored,
+ * or null if the event does not describe an evolving CI status.
+ */
+function getStatusMessageKey(eventType, payload, target) {
+    const subject = getStatusSubject(eventType, payload);
+    if (!subject?.id) return null;
+    return `status-message:${eventType}:${subject.id}:${target.chat_id}:${
+        target.thread_id || ""
+    }`;
+}
+
+/**
+ * Delivers a message to a target. When COS_BRIDGE_KV is bound, CI status
+ * updates edit their original message and follow-up events on an issue or
+ * pull request are sent as replies to the message that announced it.
+ * @param {object} [options] `replyMarkup` attaches an inline keyboard;
+ *     `pin` pins the message.
+ * @returns {Promise<boolean>} True if the message was delivered.
+ */
+async function deliverMessage(
+    text,
+    env,
+    target,
+    eventType,
+    payload,
+    options = {}
+) {
+    const kv = env.COS_BRIDGE_KV;
+    const statusKey = kv && getStatusMessageKey(eventType, payload, target);
+    if (statusKey) {
+        return deliverStatusMessage(
+            text,
+            env,
+            target,
+            eventType,
+            payload,
+            options
+        );
+    }
+
+    const conversation = kv && getConversation(eventType, payload);
+    if (!conversation) {
+        return Boolean(await sendTelegramMessage(text, env, target, options));
+    }
+
+    const conversationKey = `conversation-message:${conversation.repo}:${
+        conversation.number
+    }:${target.chat_id}:${target.thread_id || ""}`;
+    let replyToMessageId;
+    if (!conversation.isRoot) {
+        try {
+            replyToMessageId = await kv.get(conversationKey);
+        } catch (error) {
             console.error(
-                `Telegram API Error: ${response.status} ${response.statusText}. ChatID: ${env.COS_TELEGRAM_CHAT_ID}, TopicID: ${env.COS_TELEGRAM_MESSAGE_THREAD_ID}. Response: ${errorData}`
+                "Failed to read conversation message from KV:",
+                error
             );
-        } else {
+        }
+    }
+
+    const messageId = await sendTelegramMessage(text, env, target, {
+        ...options,
+        replyToMessageId: replyToMessageId
+            ? Number(replyToMessageId)
+            : undefined,
+    });
+    if (conversation.isRoot && messageId) {
+        try {
+            await kv.put(conversationKey, String(messageId), {
+                expirationTtl: CONVERSATION_MESSAGE_TTL_SECONDS,
+            });
+        } catch (error) {
+            console.error("Failed to store conversation message in KV:", error);
+        }
+    }
+    return Boolean(messageId);
+}
+
+/**
+ * Identifies the issue or pull request an event belongs to. Opening events
+ * start a conversation (isRoot); all other events reply to it.
+ * @returns {{repo: string, number: number, isRoot: boolean}|null}
+ */
+function getConversation(eventType, payload) {
+    let number;
+    let isRoot = false;
+    switch (eventType) {
+        case "issues":
+            number = payload.issue?.number;
+            isRoot = payload.action === "opened";
+            break;
+        case "pull_request":
+            number = payload.pull_request?.number;
+            isRoot = payload.action === "opened";
+            break;
+        case "issue_comment":
+            number = payload.issue?.number;
+            break;
+        case "pull_request_review":
+        case "pull_request_review_comment":
+        case "pull_request_review_thread":
+            number = payload.pull_request?.number;
+            break;
+        default:
+            return null;
+    }
+    const repo = payload.repository?.id || payload.repository?.full_name;
+    if (!number || !repo) return null;
+    return { repo, number, isRoot };
+}
+
+async function deliverStatusMessage(
+    text,
+    env,
+    target,
+    eventType,
+    payload,
+    options = {}
+) {
+    const kv = env.COS_BRIDGE_KV;
+    const statusKey = getStatusMessageKey(eventType, payload, target);
+    const subject = getStatusSubject(eventType, payload);
+    const isCompleted = subject?.status === "completed";
+    // A re-run keeps the run ID, so the same message follows every attempt.
+    const attempt = subject?.run_attempt ?? 1;
+
+    let stored = null;
+    try {
+        stored = await kv.get(statusKey, "json");
+    } catch (error) {
+        console.error("Failed to read status message from KV:", error);
+    }
+    if (stored?.message_id) {
+        const storedAttempt = stored.attempt ?? 1;
+        if (
+            attempt < storedAttempt ||
+            (attempt === storedAttempt && stored.completed && !isCompleted)
+        ) {
+            // Out-of-order delivery: never regress a finished status or
+            // go back to an earlier attempt.
             console.log(
-                `Message sent successfully to Telegram topic ${env.COS_TELEGRAM_MESSAGE_THREAD_ID}.`
+                `Ignoring stale ${eventType} update for message ${stored.message_id}.`
             );
+            return true;
         }
-    } catch (error) {
-        console.error(
-            "Failed to send message to Telegram (network/fetch error):",
-            error
+        const edited = await editTelegramMessage(
+            text,
+            env,
+            target,
+            stored.message_id,
+            options.replyMarkup
         );
+        if (edited) {
+            if (
+                attempt !== storedAttempt ||
+                isCompleted !== Boolean(stored.completed)
+            ) {
+                await putStatusMessage(kv, statusKey, {
+                    ...stored,
+                    completed: isCompleted,
+                    attempt,
+                });
+            }
+            return true;
+        }
+    }
+
+    const messageId = await sendTelegramMessage(text, env, target, options);
+    if (messageId) {
+        await putStatusMessage(kv, statusKey, {
+            message_id: messageId,
+            completed: isCompleted,
+            attempt,
+        });
     }
+    return Boolean(messageId);
 }
+
+async function putStatusMessage(kv, key, value) {
+    try {
+        await kv.put(key, JSON.stringify(value), {
+            expirationTtl: STATUS_MESSAGE_TTL_SECONDS,
+        });
+    } catch (error) {
+        console.error("Failed to store status message in KV:", error);
+    }
+}
+
+// Exported for the offline test suite in test/. registerFormatter also lets
+// a wrapping worker add or replace event formatters.
+export {
+    escapeMarkdownV2,
+    escapeMarkdownV2Url,
+    escapePreview,
+    findSuppressingFilter,
+    formatDuration,
+    formatMessage,
+    globToRegExp,
+    markdownV2ToHtml,
+    markdownV2ToPlainText,
+    matchesGlob,
+    registerFormatter,
+    resolveTargets,
+    splitMessage,
+    truncateMessage,
+    validateMarkdownV2,
+    verifyGitHubSignature,
+};